@@ -0,0 +1,680 @@
+#!/usr/bin/env node
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const readline = require('readline');
+const engine = require('./engine');
+const { REPORT_FORMATS, formatReport } = require('./report');
+const { FOLDER_NAME_PRESETS } = require('./folder-names');
+const { LAYOUT_PRESETS } = require('./layout');
+
+const APP_NAME = 'file-deduplication-tool';
+
+const USAGE = `Usage:
+  dedup copy --source <dir> [--source <dir> ...] --dest <dir> [--ext jpg,png] [--dry-run] [--verify] [--keep <policy>] [--transfer <mode>]
+             [--preserve times,mode,owner,xattrs|all] [--layout <preset|template>] [filters]
+  dedup merge <dest> [--yes] [--verify] [--transfer <mode>] [--dispose quarantine|delete] [--quarantine-location inside|beside]
+  dedup dedupe <dir> [--ext jpg,png] [--keep <policy>] [--action quarantine|delete|hardlink|symlink] [--dry-run] [--yes]
+                     [--similar [--threshold 6]] [filters]
+  dedup filters [--delete <name>]
+  dedup purge <dest> [--days 30]
+  dedup groups --source <dir> [--source <dir> ...]
+  dedup verify <report.json>
+  dedup resume
+  dedup undo [--yes]
+  dedup clear-cache
+
+Options:
+  --report <file>     Write the run report (.csv, .json or .html)
+  --retry             Re-attempt files that failed once the run has finished
+  --verify            Rehash every copied file and compare it with its source
+  --recopy            Copy mismatched files again (implies --verify)
+  --folder-rule <r>   How folder names are grouped: ${Object.keys(FOLDER_NAME_PRESETS).join(', ')} (default underscore)
+  --folder-pattern <regex[=>replacement]>
+                      Extra pattern applied to folder names, may be repeated
+  --case-fold         Group folder names case-insensitively (names are lower-cased)
+  --transfer <mode>   How unique files are written: ${engine.TRANSFER_MODES.join(', ')} (default copy);
+                      hardlink and reflink fall back to a copy where the filesystem cannot do them
+  --preserve <list>   Metadata copied onto files and created folders: ${engine.PRESERVE_FIELDS.join(', ')} or all
+                      (owner only where permitted, xattrs need getfattr/setfattr or xattr)
+  --layout <l>        Where files land under --dest: ${Object.keys(LAYOUT_PRESETS).join(', ')} or a template
+                      built from {year} {month} {day} {name} {stem} {ext} {source} {relpath} {folder}
+                      (dates come from EXIF for JPEG and TIFF, otherwise the modification time)
+  --keep <policy>     Which duplicate is copied: ${engine.KEEP_POLICIES.join(', ')} (default first)
+  --prefer <dir>      Source folder order for --keep source-priority, may be repeated
+                      (defaults to the order of --source)
+  --action <a>        What dedupe does with extra copies: ${engine.DUPLICATE_ACTIONS.join(', ')} (default quarantine)
+  --similar           Make dedupe look for visually similar images (re-saved, resized, metadata stripped)
+                      instead of identical files; only quarantine and delete apply
+  --threshold <n>     How many of the 64 perceptual hash bits similar images may differ by (default 6)
+  --hash <algorithm>  Content hash used to match files: ${engine.HASH_ALGORITHMS.join(', ')} (default sha256);
+                      xxhash64 is not collision-resistant, so use sha256 or sha512 where copies must be
+                      provable; reports record the algorithm and dedup verify uses the one in the report
+  --hash-threads <n>  How many files are hashed at once on worker threads (default ${engine.DEFAULT_HASH_CONCURRENCY})
+  --copy-threads <n>  How many files are copied at once (default ${engine.DEFAULT_COPY_CONCURRENCY}); moves always run one
+                      at a time, and spinning disks are read and written one file at a time regardless
+  --data-dir <dir>    Directory for the hash index and saved job state
+  --quiet             Only print the final summary
+  --help              Show this help
+
+Scanning (copy and dedupe):
+  --include <glob>    Only take files matching the glob, may be repeated
+  --exclude <glob>    Skip files and folders matching the glob, may be repeated; a glob without a
+                      slash matches names (Thumbs.db, *.tmp), one with a slash matches paths from the
+                      scanned folder (DCIM/**/*.mov), a trailing slash only matches folders (node_modules/)
+  --min-size <size>   Skip smaller files, e.g. 1KB, 10MB
+  --max-size <size>   Skip larger files
+  --since <date>      Only take files modified on or after YYYY-MM-DD
+  --before <date>     Only take files modified before YYYY-MM-DD
+  --skip-hidden       Skip files and folders whose name starts with a dot
+  --skip-system       Skip operating system files such as Thumbs.db, .DS_Store and $RECYCLE.BIN
+  --symlinks <mode>   What to do with symbolic links: skip (default), follow, or link to recreate them
+                      as links in the destination (copy only); followed folders are scanned once, so
+                      links that loop back into the tree are reported instead of recursed into
+  --one-file-system   Do not descend into folders on another filesystem or mount
+  --filter-preset <n> Start from a saved or built-in filter preset (see dedup filters)
+  --save-filter-preset <n>
+                      Save this run's extensions and filters as a named preset`;
+
+const BOOLEAN_FLAGS = new Set(['dry-run', 'yes', 'quiet', 'help', 'retry', 'verify', 'recopy', 'case-fold', 'similar', 'skip-hidden', 'skip-system', 'one-file-system']);
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { command: null, positional: [], options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      let name = arg.slice(2);
+      let value;
+      const equalsIndex = name.indexOf('=');
+      if (equalsIndex !== -1) {
+        value = name.slice(equalsIndex + 1);
+        name = name.slice(0, equalsIndex);
+      } else if (BOOLEAN_FLAGS.has(name)) {
+        value = true;
+      } else {
+        value = argv[++i];
+        if (value === undefined) {
+          throw new UsageError(`Missing value for --${name}`);
+        }
+      }
+      if (!args.options[name]) {
+        args.options[name] = [];
+      }
+      args.options[name].push(value);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+function getOption(args, name) {
+  const values = args.options[name];
+  return values ? values[values.length - 1] : undefined;
+}
+
+function getListOption(args, name) {
+  return (args.options[name] || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(value => value);
+}
+
+function getDefaultDataDir() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), APP_NAME);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', APP_NAME);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), APP_NAME);
+}
+
+function formatStats(stats) {
+  const sizeMB = (stats.sizeCopied / (1024 * 1024)).toFixed(2);
+  const verified = stats.verified || stats.mismatches ? `, verified ${stats.verified}, mismatches ${stats.mismatches}` : '';
+  const reclaimed = stats.sizeReclaimed ? `, ${(stats.sizeReclaimed / (1024 * 1024)).toFixed(2)} MB reclaimed` : '';
+  const skipped = stats.skipped ? `, skipped ${stats.skipped}` : '';
+  return `scanned ${stats.scanned}, copied ${stats.copied}, duplicates ${stats.duplicates}, errors ${stats.errors}${skipped}${verified}, ${sizeMB} MB copied${reclaimed}`;
+}
+
+function formatEta(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return minutes >= 60
+    ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+    : `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function formatProgress(progress) {
+  if (!progress || !progress.phase) {
+    return '';
+  }
+  const parts = [progress.total === null ? `${progress.label} ${progress.done}` : `${progress.label} ${progress.done}/${progress.total}`];
+  if (progress.bytesPerSecond !== null) {
+    parts.push(`${(progress.bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`);
+  }
+  if (progress.etaSeconds !== null) {
+    parts.push(`ETA ${formatEta(progress.etaSeconds)}`);
+  }
+  return `[${parts.join(', ')}] `;
+}
+
+function getFolderNameRules(args) {
+  const preset = getOption(args, 'folder-rule');
+  if (preset !== undefined && !FOLDER_NAME_PRESETS[preset]) {
+    throw new UsageError(`--folder-rule must be one of ${Object.keys(FOLDER_NAME_PRESETS).join(', ')}`);
+  }
+  return {
+    preset: preset,
+    patterns: (args.options['folder-pattern'] || []).map(value => {
+      const [pattern, replacement = ''] = String(value).split('=>');
+      return { pattern: pattern, replacement: replacement };
+    }),
+    caseFold: Boolean(getOption(args, 'case-fold'))
+  };
+}
+
+function getKeepOptions(args) {
+  const keepPolicy = getOption(args, 'keep');
+  if (keepPolicy !== undefined && !engine.KEEP_POLICIES.includes(keepPolicy)) {
+    throw new UsageError(`--keep must be one of ${engine.KEEP_POLICIES.join(', ')}`);
+  }
+  return {
+    keepPolicy: keepPolicy,
+    sourcePriority: (args.options.prefer || []).map(folder => path.resolve(String(folder)))
+  };
+}
+
+function getConcurrencyOptions(args) {
+  const read = (name) => {
+    const value = getOption(args, name);
+    if (value === undefined) {
+      return undefined;
+    }
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > engine.MAX_CONCURRENCY) {
+      throw new UsageError(`--${name} must be a whole number from 1 to ${engine.MAX_CONCURRENCY}`);
+    }
+    return count;
+  };
+  return {
+    hashConcurrency: read('hash-threads'),
+    copyConcurrency: read('copy-threads')
+  };
+}
+
+function getHashAlgorithm(args) {
+  const hashAlgorithm = getOption(args, 'hash');
+  if (hashAlgorithm !== undefined && !engine.HASH_ALGORITHMS.includes(hashAlgorithm)) {
+    throw new UsageError(`--hash must be one of ${engine.HASH_ALGORITHMS.join(', ')}`);
+  }
+  return hashAlgorithm;
+}
+
+function getTransferMode(args) {
+  const transferMode = getOption(args, 'transfer');
+  if (transferMode !== undefined && !engine.TRANSFER_MODES.includes(transferMode)) {
+    throw new UsageError(`--transfer must be one of ${engine.TRANSFER_MODES.join(', ')}`);
+  }
+  return transferMode;
+}
+
+function getScanOptions(args, command) {
+  const symlinks = getOption(args, 'symlinks');
+  const modes = command === 'copy' ? engine.SYMLINK_MODES : engine.SYMLINK_MODES.filter(mode => mode !== 'link');
+  if (symlinks !== undefined && !modes.includes(symlinks)) {
+    throw new UsageError(`--symlinks must be one of ${modes.join(', ')} for ${command}`);
+  }
+  return {
+    symlinks: symlinks,
+    oneFileSystem: Boolean(getOption(args, 'one-file-system'))
+  };
+}
+
+function getPreserveOptions(args) {
+  const fields = getListOption(args, 'preserve');
+  const unknown = fields.filter(field => field !== 'all' && !engine.PRESERVE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new UsageError(`--preserve takes ${engine.PRESERVE_FIELDS.join(', ')} or all`);
+  }
+  return Object.fromEntries(engine.PRESERVE_FIELDS.map(field => [field, fields.includes('all') || fields.includes(field)]));
+}
+
+function getLayout(args) {
+  const layout = getOption(args, 'layout');
+  if (layout === undefined) {
+    return undefined;
+  }
+  return LAYOUT_PRESETS[layout] ? LAYOUT_PRESETS[layout].template : String(layout);
+}
+
+async function getFilterOptions(args) {
+  const presetName = getOption(args, 'filter-preset');
+  let preset = { filters: {} };
+  if (presetName !== undefined) {
+    const presets = await engine.getFilterPresets();
+    if (!presets[presetName]) {
+      throw new UsageError(`Unknown filter preset "${presetName}", use one of ${Object.keys(presets).join(', ')}`);
+    }
+    preset = presets[presetName];
+  }
+
+  const base = preset.filters || {};
+  const pick = (name, fallback) => {
+    const value = getOption(args, name);
+    return value === undefined ? fallback : String(value);
+  };
+  const extensions = getListOption(args, 'ext');
+  const options = {
+    extensions: extensions.length > 0 ? extensions : preset.extensions || [],
+    filters: {
+      include: [...(base.include || []), ...(args.options.include || []).map(String)],
+      exclude: [...(base.exclude || []), ...(args.options.exclude || []).map(String)],
+      minSize: pick('min-size', base.minSize),
+      maxSize: pick('max-size', base.maxSize),
+      modifiedSince: pick('since', base.modifiedSince),
+      modifiedBefore: pick('before', base.modifiedBefore),
+      skipHidden: Boolean(getOption(args, 'skip-hidden') || base.skipHidden),
+      skipSystem: Boolean(getOption(args, 'skip-system') || base.skipSystem)
+    }
+  };
+
+  const saveName = getOption(args, 'save-filter-preset');
+  if (saveName !== undefined) {
+    await engine.saveFilterPreset(String(saveName), options);
+    console.log(`Saved filter preset "${saveName}".`);
+  }
+  return options;
+}
+
+function getVerifyOptions(args) {
+  const recopyMismatches = Boolean(getOption(args, 'recopy'));
+  return {
+    verify: recopyMismatches || Boolean(getOption(args, 'verify')),
+    recopyMismatches: recopyMismatches
+  };
+}
+
+function watchProgress(quiet) {
+  if (quiet) {
+    return;
+  }
+  let lastPrinted = 0;
+  engine.events.on('progress-update', (data) => {
+    const now = Date.now();
+    if (now - lastPrinted < 1000) {
+      return;
+    }
+    lastPrinted = now;
+    process.stderr.write(`${formatProgress(data.progress)}[${formatStats(data.stats)}] ${data.currentFile || ''}\n`);
+  });
+  engine.events.on('file-error', (error) => {
+    process.stderr.write(`${error.operation} failed: ${error.path} (${error.code || error.message})\n`);
+  });
+}
+
+function waitForEvent(name) {
+  return new Promise(resolve => engine.events.once(name, resolve));
+}
+
+async function writeReport(reportPath) {
+  const report = engine.getLastReport();
+  if (!reportPath || !report) {
+    return;
+  }
+  const format = path.extname(reportPath).toLowerCase().slice(1);
+  if (!REPORT_FORMATS[format]) {
+    throw new Error(`Unsupported report format ".${format}", use .csv, .json or .html`);
+  }
+  await fs.writeFile(reportPath, formatReport(report, format));
+  console.log(`Report written to ${reportPath}`);
+}
+
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(question, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+async function runCopy(args) {
+  const sourceFolders = (args.options.source || []).map(folder => path.resolve(String(folder)));
+  const destinationFolder = getOption(args, 'dest');
+  if (sourceFolders.length === 0 || !destinationFolder) {
+    throw new UsageError('copy needs at least one --source and a --dest');
+  }
+
+  const { extensions, filters } = await getFilterOptions(args);
+  const completed = waitForEvent('process-complete');
+  await engine.runCopyJob(sourceFolders, path.resolve(String(destinationFolder)), extensions, {
+    ...getVerifyOptions(args),
+    ...getScanOptions(args, 'copy'),
+    ...getConcurrencyOptions(args),
+    hashAlgorithm: getHashAlgorithm(args),
+    filters: filters,
+    ...getKeepOptions(args),
+    transferMode: getTransferMode(args),
+    preserve: getPreserveOptions(args),
+    layout: getLayout(args),
+    folderNameRules: getFolderNameRules(args),
+    dryRun: Boolean(getOption(args, 'dry-run'))
+  });
+  return completed;
+}
+
+async function runResume() {
+  const savedJob = await engine.getSavedJob();
+  if (!savedJob) {
+    throw new Error('There is no saved job to resume.');
+  }
+  const completed = waitForEvent('process-complete');
+  await engine.resumeSavedJob();
+  return completed;
+}
+
+async function runMerge(args) {
+  const destinationFolder = args.positional[0] || getOption(args, 'dest');
+  if (!destinationFolder) {
+    throw new UsageError('merge needs a destination folder');
+  }
+  const resolvedFolder = path.resolve(String(destinationFolder));
+  const disposal = getOption(args, 'dispose');
+  if (disposal !== undefined && !['quarantine', 'delete'].includes(disposal)) {
+    throw new UsageError('--dispose must be quarantine or delete');
+  }
+
+  const transferMode = getTransferMode(args);
+  const preserve = getPreserveOptions(args);
+  const concurrency = getConcurrencyOptions(args);
+  const hashAlgorithm = getHashAlgorithm(args);
+  const noMerge = waitForEvent('merge-complete');
+  const folderNameRules = getFolderNameRules(args);
+  const groups = await engine.findMergeGroups(resolvedFolder, { folderNameRules: folderNameRules, ...concurrency, hashAlgorithm: hashAlgorithm });
+  if (groups.length === 0) {
+    return noMerge;
+  }
+
+  console.log('Found duplicate folders (the first of each group is the target):');
+  for (const group of groups) {
+    console.log(`  ${group.name}:`);
+    for (const folder of group.folders) {
+      const size = `${folder.fileCount} file(s), ${(folder.totalSize / (1024 * 1024)).toFixed(2)} MB`;
+      const overlap = folder.path === group.target ? 'target' : `${folder.overlap[group.target]}% already in target`;
+      console.log(`    ${folder.path} (${size}, ${overlap})`);
+    }
+  }
+  if (!getOption(args, 'yes') && !(await confirm('Merge these folders? [y/N] '))) {
+    return { stats: null, message: 'Merge cancelled.' };
+  }
+
+  const completed = waitForEvent('merge-complete');
+  await engine.mergeFolders(resolvedFolder, groups, {
+    ...getVerifyOptions(args),
+    ...concurrency,
+    hashAlgorithm: hashAlgorithm,
+    disposal: disposal,
+    transferMode: transferMode,
+    preserve: preserve,
+    folderNameRules: folderNameRules,
+    quarantineLocation: getOption(args, 'quarantine-location')
+  });
+  return completed;
+}
+
+async function runDedupe(args) {
+  const rootFolder = args.positional[0];
+  if (!rootFolder) {
+    throw new UsageError('dedupe needs a folder');
+  }
+  const resolvedFolder = path.resolve(String(rootFolder));
+  const duplicateAction = getOption(args, 'action') || 'quarantine';
+  if (!engine.DUPLICATE_ACTIONS.includes(duplicateAction)) {
+    throw new UsageError(`--action must be one of ${engine.DUPLICATE_ACTIONS.join(', ')}`);
+  }
+  const similar = Boolean(getOption(args, 'similar'));
+  if (similar && !['quarantine', 'delete'].includes(duplicateAction)) {
+    throw new UsageError('--similar only works with --action quarantine or delete');
+  }
+  const threshold = getOption(args, 'threshold');
+  const similarityThreshold = threshold === undefined ? undefined : Number(threshold);
+  if (similarityThreshold !== undefined && !(Number.isInteger(similarityThreshold) && similarityThreshold >= 0 && similarityThreshold < 64)) {
+    throw new UsageError('--threshold must be a whole number from 0 to 63');
+  }
+  const options = {
+    ...getKeepOptions(args),
+    ...getScanOptions(args, 'dedupe'),
+    ...getConcurrencyOptions(args),
+    hashAlgorithm: getHashAlgorithm(args),
+    duplicateAction: duplicateAction,
+    quarantineLocation: getOption(args, 'quarantine-location'),
+    matchMode: similar ? 'similar' : 'identical',
+    similarityThreshold: similarityThreshold
+  };
+  const { extensions, filters } = await getFilterOptions(args);
+  options.filters = filters;
+
+  const noDuplicates = waitForEvent('dedupe-complete');
+  const review = waitForEvent('dedupe-review');
+  const groups = await engine.findTreeDuplicates(resolvedFolder, extensions, options);
+  if (groups.length === 0) {
+    return noDuplicates;
+  }
+  const { reclaimable, unsupported, skipped } = await review;
+
+  console.log(similar ? 'Similar images:' : 'Duplicate files:');
+  for (const group of groups) {
+    console.log(similar ? `  ${group.files.length} similar images` : `  ${group.files.length} copies of ${group.size} bytes`);
+    for (const file of group.files) {
+      const details = similar ? ` (${file.width}x${file.height}, ${file.size} bytes, distance ${file.distance})` : '';
+      console.log(`    ${file.path === group.keeper ? 'keep' : duplicateAction}: ${file.path}${details}`);
+    }
+  }
+  if (unsupported > 0) {
+    console.log(`${unsupported} image(s) in a format that cannot be compared yet (lossless or arithmetic JPEG, compressed BMP) were skipped.`);
+  }
+  for (const item of skipped) {
+    console.log(`  skipped (${item.reason}): ${item.sourcePath}`);
+  }
+  console.log(`${(reclaimable / (1024 * 1024)).toFixed(2)} MB can be reclaimed.`);
+  if (getOption(args, 'dry-run')) {
+    return { stats: null, message: 'Dry run, nothing was changed.' };
+  }
+  if (!getOption(args, 'yes') && !(await confirm(`Apply ${duplicateAction} to the extra copies? [y/N] `))) {
+    return { stats: null, message: 'Dedupe cancelled.' };
+  }
+
+  const completed = waitForEvent('dedupe-complete');
+  await engine.removeTreeDuplicates(resolvedFolder, groups.map(group => ({
+    keeper: group.keeper,
+    duplicates: group.files.map(file => file.path).filter(filePath => filePath !== group.keeper)
+  })), options);
+  return completed;
+}
+
+async function runFilters(args) {
+  const deleteName = getOption(args, 'delete');
+  const presets = deleteName === undefined ? await engine.getFilterPresets() : await engine.deleteFilterPreset(String(deleteName));
+  for (const [name, preset] of Object.entries(presets)) {
+    const filters = preset.filters || {};
+    const parts = [
+      preset.extensions && preset.extensions.length > 0 ? `ext ${preset.extensions.join(',')}` : null,
+      (filters.include || []).length > 0 ? `include ${filters.include.join(' ')}` : null,
+      (filters.exclude || []).length > 0 ? `exclude ${filters.exclude.join(' ')}` : null,
+      filters.minSize ? `min ${filters.minSize}` : null,
+      filters.maxSize ? `max ${filters.maxSize}` : null,
+      filters.modifiedSince ? `since ${filters.modifiedSince}` : null,
+      filters.modifiedBefore ? `before ${filters.modifiedBefore}` : null,
+      filters.skipHidden ? 'skip hidden' : null,
+      filters.skipSystem ? 'skip system' : null
+    ].filter(part => part);
+    console.log(`${name}${preset.saved ? '' : ` (built-in: ${preset.label})`}${parts.length > 0 ? `: ${parts.join('; ')}` : ''}`);
+  }
+}
+
+async function runGroups(args) {
+  const folders = (args.options.source || []).concat(args.positional).map(folder => path.resolve(String(folder)));
+  if (folders.length === 0) {
+    throw new UsageError('groups needs at least one --source');
+  }
+
+  const groups = await engine.previewFolderGroups(folders, getFolderNameRules(args));
+  for (const group of groups) {
+    console.log(`${group.name}${group.folders.length > 1 ? ` (${group.folders.length} folders)` : ''}`);
+    for (const folder of group.folders) {
+      console.log(`  ${folder}`);
+    }
+  }
+}
+
+async function runPurge(args) {
+  const destinationFolder = args.positional[0] || getOption(args, 'dest');
+  if (!destinationFolder) {
+    throw new UsageError('purge needs a destination folder');
+  }
+  const days = getOption(args, 'days');
+  const retentionDays = days === undefined ? undefined : Number(days);
+  if (retentionDays !== undefined && !(retentionDays >= 0)) {
+    throw new UsageError('--days must be a number of days');
+  }
+
+  const purged = await engine.purgeQuarantine(path.resolve(String(destinationFolder)), retentionDays);
+  for (const folder of purged) {
+    console.log(`Purged ${folder}`);
+  }
+  console.log(`${purged.length} quarantine folder(s) purged.`);
+}
+
+async function runVerify(args) {
+  const reportPath = args.positional[0];
+  if (!reportPath) {
+    throw new UsageError('verify needs the JSON report of a previous run');
+  }
+  const report = JSON.parse(await fs.readFile(path.resolve(String(reportPath)), 'utf8'));
+
+  const completed = waitForEvent('process-complete');
+  await engine.verifyReport(report, getVerifyOptions(args));
+  return completed;
+}
+
+async function runUndo(args) {
+  const operation = await engine.getLastOperation();
+  if (!operation) {
+    throw new Error('There is no operation to undo.');
+  }
+
+  console.log(`Last operation: ${operation.operation} into ${operation.destinationFolder} at ${operation.startedAt}` +
+    ` (${operation.createdFiles} file(s) created, ${operation.movedFolders} item(s) moved or quarantined, ${operation.linkedFiles} file(s) linked)`);
+  if (!getOption(args, 'yes') && !(await confirm('Undo this operation? [y/N] '))) {
+    return { stats: null, message: 'Undo cancelled.' };
+  }
+
+  const completed = waitForEvent('process-complete');
+  await engine.undoLastOperation();
+  return completed;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (getOption(args, 'help') || !args.command) {
+    console.log(USAGE);
+    return args.command || getOption(args, 'help') ? 0 : 2;
+  }
+
+  const dataDir = path.resolve(String(getOption(args, 'data-dir') || getDefaultDataDir()));
+  await engine.init({ dataDir: dataDir });
+  watchProgress(Boolean(getOption(args, 'quiet')));
+
+  // Only a copy job can be resumed; anything else is cancelled so that its
+  // partial files are cleaned up. A second Ctrl+C quits at once.
+  let interrupted = false;
+  process.on('SIGINT', async () => {
+    if (interrupted) {
+      process.exit(130);
+    }
+    interrupted = true;
+    if (engine.isResumableJobRunning()) {
+      process.stderr.write('Interrupted, saving job state. Run "dedup resume" to continue.\n');
+      await engine.pauseProcess();
+      process.exit(130);
+    }
+    process.stderr.write('Interrupted, cancelling. Press Ctrl+C again to quit at once.\n');
+    engine.cancelProcess();
+  });
+
+  let result;
+  if (args.command === 'copy') {
+    result = await runCopy(args);
+  } else if (args.command === 'resume') {
+    result = await runResume();
+  } else if (args.command === 'merge') {
+    result = await runMerge(args);
+  } else if (args.command === 'dedupe') {
+    result = await runDedupe(args);
+  } else if (args.command === 'verify') {
+    result = await runVerify(args);
+  } else if (args.command === 'undo') {
+    result = await runUndo(args);
+  } else if (args.command === 'filters') {
+    await runFilters(args);
+    return 0;
+  } else if (args.command === 'groups') {
+    await runGroups(args);
+    return 0;
+  } else if (args.command === 'purge') {
+    await runPurge(args);
+    return 0;
+  } else if (args.command === 'clear-cache') {
+    await engine.clearHashCache();
+    console.log('Hash index cleared.');
+    return 0;
+  } else {
+    throw new UsageError(`Unknown command "${args.command}"`);
+  }
+
+  if (getOption(args, 'retry') && !interrupted && result.errors && result.errors.some(error => error.retry)) {
+    console.log(`Retrying ${result.errors.filter(error => error.retry).length} failed file(s)...`);
+    const retried = waitForEvent('process-complete');
+    await engine.retryFailed();
+    result = await retried;
+  }
+
+  await engine.saveHashCache();
+  await writeReport(getOption(args, 'report'));
+
+  if (result.message) {
+    console.log(result.message);
+  }
+  for (const warning of result.warnings || []) {
+    console.error(`Warning: ${warning}`);
+  }
+  if (result.stats) {
+    console.log(`Done: ${formatStats(result.stats)}`);
+  }
+  if (interrupted) {
+    return 130;
+  }
+  if (result.error) {
+    console.error(`Error: ${result.error}`);
+    return 1;
+  }
+  if (result.stats && result.stats.errors > 0) {
+    console.error(`${result.stats.errors} error(s) logged to ${path.join(dataDir, 'errors.log')}`);
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`Error: ${err.message}`);
+    if (err instanceof UsageError) {
+      console.error(USAGE);
+      process.exit(2);
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+
+const rotationalDevices = new Map();
+
+// Splits a Linux st_dev into major and minor numbers (glibc encoding).
+function splitDevice(dev) {
+  const high = Math.floor(dev / 0x100000000);
+  const low = dev >>> 0;
+  return {
+    major: (((low >>> 8) & 0xfff) | (high & 0xfffff000)) >>> 0,
+    minor: ((low & 0xff) | ((low >>> 12) & 0xfff00) | ((high & 0xfff) << 20)) >>> 0
+  };
+}
+
+async function readRotational(dev) {
+  if (process.platform !== 'linux') {
+    return false;
+  }
+  const { major, minor } = splitDevice(dev);
+  const base = `/sys/dev/block/${major}:${minor}`;
+  // Partitions have no queue of their own; '..' is resolved by the kernel
+  // after following the symlink, which lands on the whole disk.
+  for (const candidate of [`${base}/queue/rotational`, `${base}/../queue/rotational`]) {
+    try {
+      return (await fs.readFile(candidate, 'utf8')).trim() === '1';
+    } catch (err) {
+      continue;
+    }
+  }
+  return false;
+}
+
+async function isRotational(dev) {
+  if (!rotationalDevices.has(dev)) {
+    rotationalDevices.set(dev, readRotational(dev));
+  }
+  return rotationalDevices.get(dev);
+}
+
+// Limits how many tasks touch one device at a time: one for spinning disks,
+// where parallel reads only add seeking, otherwise no limit beyond the
+// caller's own concurrency.
+function createDeviceLimiter() {
+  const devices = new Map();
+
+  const next = (device) => {
+    while (device.waiting.length > 0 && device.active < device.limit) {
+      device.active++;
+      device.waiting.shift()();
+    }
+  };
+
+  return {
+    async run(dev, task) {
+      if (dev === null || dev === undefined) {
+        return task();
+      }
+      if (!devices.has(dev)) {
+        devices.set(dev, { active: 0, limit: Infinity, waiting: [], ready: isRotational(dev) });
+      }
+      const device = devices.get(dev);
+      if (await device.ready) {
+        device.limit = 1;
+      }
+      await new Promise(resolve => {
+        device.waiting.push(resolve);
+        next(device);
+      });
+      try {
+        return await task();
+      } finally {
+        device.active--;
+        next(device);
+      }
+    }
+  };
+}
+
+module.exports = {
+  isRotational,
+  createDeviceLimiter
+};
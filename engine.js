@@ -0,0 +1,3400 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { constants: fsConstants, createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { EventEmitter } = require('events');
+const { createFolderNameRules, compileFolderNameRules } = require('./folder-names');
+const { FILTER_PRESETS, createFileFilters, compileFileFilters } = require('./filters');
+const { copyXattrs } = require('./xattr');
+const { DEFAULT_LAYOUT, validateLayout, usesDateTokens, renderLayout } = require('./layout');
+const { EXIF_EXTENSIONS, readExifDate } = require('./exif');
+const { IMAGE_EXTENSIONS, DEFAULT_SIMILARITY_THRESHOLD, HASH_BITS, hammingDistance, clusterByDistance } = require('./image-hash');
+const { DEFAULT_HASH_CONCURRENCY, setHashConcurrency, setHashingPaused, setHashProgressListener, runHashTask } = require('./hash-pool');
+const { HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM, createHasher } = require('./hash-algorithms');
+const { createDeviceLimiter } = require('./device-limits');
+const { createJobController, isAbortError } = require('./job-control');
+const { createProgress, startPhase, addPhaseTotal, advancePhase, addBytes, getProgressSnapshot } = require('./progress');
+
+const PARTIAL_HASH_BYTES = 64 * 1024;
+const JOB_CHECKPOINT_INTERVAL = 5000;
+const PROGRESS_INTERVAL = 250;
+const PARTIAL_COPY_SUFFIX = '.dedup-partial';
+const INTERNAL_PREFIX = '.dedup-';
+const QUARANTINE_DIR = '.dedup-quarantine';
+const DISPOSAL_METHODS = ['quarantine', 'trash', 'delete'];
+const TRANSFER_MODES = ['copy', 'hardlink', 'reflink', 'move'];
+const TRANSFER_FALLBACK_CODES = {
+  hardlink: ['EXDEV', 'EPERM', 'EMLINK', 'ENOTSUP', 'EOPNOTSUPP'],
+  reflink: ['EXDEV', 'ENOTSUP', 'EOPNOTSUPP', 'EINVAL', 'ENOSYS'],
+  move: ['EXDEV']
+};
+const PRESERVE_FIELDS = ['times', 'mode', 'owner', 'xattrs'];
+const OWNER_SKIP_CODES = ['EPERM', 'EINVAL', 'ENOSYS', 'ENOTSUP'];
+const DUPLICATE_ACTIONS = ['quarantine', 'delete', 'hardlink', 'symlink'];
+const MATCH_MODES = ['identical', 'similar'];
+const SYMLINK_MODES = ['skip', 'follow', 'link'];
+const DEFAULT_COPY_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 64;
+const KEEP_POLICIES = ['first', 'oldest', 'newest', 'shortest-path', 'source-priority', 'clean-name'];
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNDONE_JOURNAL_SUFFIX = '.undone.jsonl';
+const EVENT_CHANNELS = ['progress-update', 'process-complete', 'merge-confirmation', 'merge-complete', 'dedupe-review', 'dedupe-complete', 'file-error'];
+
+const events = new EventEmitter();
+let state = {
+  control: createJobController(),
+  progress: createProgress(),
+  dryRun: false,
+  options: createJobOptions(),
+  folderNamer: compileFolderNameRules(),
+  fileFilter: compileFileFilters(),
+  job: null,
+  phase: 'idle',
+  currentIndex: 0,
+  deduplicationMap: new Map(),
+  fileList: [],
+  folderList: [],
+  folderMap: new Map(),
+  copiedFolders: new Set(),
+  keptCopies: new Map(),
+  createdDirectories: new Map(),
+  folderReport: [],
+  actions: [],
+  plannedPaths: new Set(),
+  errors: [],
+  warnings: [],
+  journalId: null,
+  startedAt: null,
+  lastReport: null,
+  stats: createStats()
+};
+
+function createStats() {
+  return {
+    scanned: 0,
+    copied: 0,
+    duplicates: 0,
+    errors: 0,
+    verified: 0,
+    mismatches: 0,
+    skipped: 0,
+    sizeCopied: 0,
+    sizeReclaimed: 0
+  };
+}
+
+function createJobOptions(options = {}) {
+  return {
+    verify: Boolean(options.verify),
+    recopyMismatches: Boolean(options.recopyMismatches),
+    disposal: DISPOSAL_METHODS.includes(options.disposal) ? options.disposal : 'quarantine',
+    quarantineLocation: options.quarantineLocation === 'beside' ? 'beside' : 'inside',
+    keepPolicy: KEEP_POLICIES.includes(options.keepPolicy) ? options.keepPolicy : 'first',
+    sourcePriority: (options.sourcePriority || []).map(String),
+    preserve: Object.fromEntries(PRESERVE_FIELDS.map(field => [field, Boolean((options.preserve || {})[field])])),
+    layout: typeof options.layout === 'string' && options.layout.trim() ? options.layout.trim() : DEFAULT_LAYOUT,
+    transferMode: TRANSFER_MODES.includes(options.transferMode) ? options.transferMode : 'copy',
+    duplicateAction: DUPLICATE_ACTIONS.includes(options.duplicateAction) ? options.duplicateAction : 'quarantine',
+    matchMode: MATCH_MODES.includes(options.matchMode) ? options.matchMode : 'identical',
+    similarityThreshold: Number.isInteger(options.similarityThreshold) && options.similarityThreshold >= 0 && options.similarityThreshold < HASH_BITS
+      ? options.similarityThreshold
+      : DEFAULT_SIMILARITY_THRESHOLD,
+    folderNameRules: createFolderNameRules(options.folderNameRules),
+    filters: createFileFilters(options.filters),
+    symlinks: SYMLINK_MODES.includes(options.symlinks) ? options.symlinks : 'skip',
+    oneFileSystem: Boolean(options.oneFileSystem),
+    hashAlgorithm: HASH_ALGORITHMS.includes(options.hashAlgorithm) ? options.hashAlgorithm : DEFAULT_HASH_ALGORITHM,
+    hashConcurrency: getConcurrency(options.hashConcurrency, DEFAULT_HASH_CONCURRENCY),
+    copyConcurrency: getConcurrency(options.copyConcurrency, DEFAULT_COPY_CONCURRENCY)
+  };
+}
+
+function getConcurrency(value, fallback) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_CONCURRENCY ? value : fallback;
+}
+
+function setJobOptions(options) {
+  const jobOptions = createJobOptions(options);
+  validateLayout(jobOptions.layout);
+  state.folderNamer = compileFolderNameRules(jobOptions.folderNameRules);
+  state.fileFilter = compileFileFilters(jobOptions.filters);
+  setHashConcurrency(jobOptions.hashConcurrency);
+  state.options = jobOptions;
+  return jobOptions;
+}
+
+function startJob() {
+  state.control = createJobController();
+  state.progress = createProgress();
+  state.warnings = [];
+  setHashingPaused(false);
+}
+
+const progressEvents = {
+  currentFile: '',
+  emittedAt: 0
+};
+
+function emitProgress(currentFile = progressEvents.currentFile) {
+  progressEvents.currentFile = currentFile;
+  progressEvents.emittedAt = Date.now();
+  events.emit('progress-update', {
+    currentFile: currentFile,
+    stats: { ...state.stats },
+    progress: getProgressSnapshot(state.progress)
+  });
+}
+
+// For updates that can arrive many times a second: byte counts, scan totals.
+function emitProgressSoon(currentFile) {
+  if (Date.now() - progressEvents.emittedAt >= PROGRESS_INTERVAL) {
+    emitProgress(currentFile);
+  }
+}
+
+function advanceProgress(currentFile) {
+  advancePhase(state.progress);
+  emitProgressSoon(currentFile);
+}
+
+setHashProgressListener((bytes) => {
+  addBytes(state.progress, 'hashed', bytes);
+  emitProgressSoon();
+});
+
+// Waits out a pause; true once the job has been cancelled.
+async function shouldStop() {
+  try {
+    await state.control.checkpoint();
+    return false;
+  } catch (err) {
+    return true;
+  }
+}
+
+function normalizeFolderName(folderName) {
+  return state.folderNamer(folderName);
+}
+
+const hashCache = {
+  filePath: null,
+  entries: new Map(),
+  dirty: false,
+  saveTimer: null,
+  pendingSave: Promise.resolve()
+};
+
+// Content hashes are stored per algorithm ('hash:sha256', 'partial:xxhash64')
+// so a run never matches a file against a key made by another algorithm.
+// Version 1 caches only ever held SHA-256.
+function upgradeCacheEntry(entry) {
+  for (const field of ['hash', 'partial']) {
+    if (entry[field]) {
+      entry[`${field}:sha256`] = entry[field];
+    }
+    delete entry[field];
+  }
+  return entry;
+}
+
+async function loadHashCache() {
+  try {
+    const data = JSON.parse(await fs.readFile(hashCache.filePath, 'utf8'));
+    const entries = Object.entries(data.entries || {});
+    hashCache.entries = new Map(data.version === 1
+      ? entries.map(([filePath, entry]) => [filePath, upgradeCacheEntry(entry)])
+      : entries);
+  } catch (err) {
+    hashCache.entries = new Map();
+  }
+}
+
+function saveHashCache() {
+  if (hashCache.saveTimer) {
+    clearTimeout(hashCache.saveTimer);
+    hashCache.saveTimer = null;
+  }
+  if (!hashCache.dirty || !hashCache.filePath) {
+    return hashCache.pendingSave;
+  }
+  hashCache.dirty = false;
+
+  const data = JSON.stringify({ version: 2, entries: Object.fromEntries(hashCache.entries) });
+  const tempPath = `${hashCache.filePath}.tmp`;
+  hashCache.pendingSave = hashCache.pendingSave
+    .then(async () => {
+      await fs.mkdir(path.dirname(hashCache.filePath), { recursive: true });
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, hashCache.filePath);
+    })
+    .catch(() => {
+      hashCache.dirty = true;
+    });
+  return hashCache.pendingSave;
+}
+
+function scheduleHashCacheSave() {
+  hashCache.dirty = true;
+  if (!hashCache.saveTimer) {
+    hashCache.saveTimer = setTimeout(saveHashCache, 10000);
+  }
+}
+
+async function clearHashCache() {
+  hashCache.entries.clear();
+  hashCache.dirty = false;
+  if (hashCache.saveTimer) {
+    clearTimeout(hashCache.saveTimer);
+    hashCache.saveTimer = null;
+  }
+  await hashCache.pendingSave;
+  if (hashCache.filePath) {
+    await fs.rm(hashCache.filePath, { force: true });
+  }
+}
+
+function getCacheEntry(filePath, stats) {
+  const entry = hashCache.entries.get(filePath);
+  if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs && entry.ino === String(stats.ino)) {
+    return entry;
+  }
+  return null;
+}
+
+function getCacheField(field) {
+  return field === 'image' ? field : `${field}:${state.options.hashAlgorithm}`;
+}
+
+function getCachedHash(filePath, stats, field = 'hash') {
+  const entry = getCacheEntry(filePath, stats);
+  return entry && entry[getCacheField(field)] ? entry[getCacheField(field)] : null;
+}
+
+function setCachedHash(filePath, stats, hash, field = 'hash') {
+  let entry = getCacheEntry(filePath, stats);
+  if (!entry) {
+    entry = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      ino: String(stats.ino)
+    };
+    hashCache.entries.set(filePath, entry);
+  }
+  entry[getCacheField(field)] = hash;
+  scheduleHashCacheSave();
+}
+
+async function rememberHash(filePath, hash) {
+  try {
+    const stats = await fs.stat(filePath);
+    setCachedHash(filePath, stats, hash);
+  } catch (err) {
+  }
+}
+
+async function hashFile(filePath) {
+  const stats = await fs.stat(filePath);
+  const cached = getCachedHash(filePath, stats);
+  if (cached) {
+    return cached;
+  }
+
+  const hash = await hashFileContents(filePath, stats);
+  setCachedHash(filePath, stats, hash);
+  return hash;
+}
+
+async function getImageHash(filePath) {
+  const stats = await fs.stat(filePath);
+  const cached = getCachedHash(filePath, stats, 'image');
+  if (cached) {
+    return cached;
+  }
+
+  const { signal } = state.control;
+  const image = await readLimiter.run(stats.dev, () => runHashTask('image', filePath, null, stats.size, 0, signal));
+  setCachedHash(filePath, stats, image, 'image');
+  return image;
+}
+
+// Reads from one spinning disk are taken one at a time; everything else is
+// bounded only by the size of the hash worker pool.
+const readLimiter = createDeviceLimiter();
+const writeLimiter = createDeviceLimiter();
+
+async function hashFileContents(filePath, stats = null) {
+  const dev = (stats || await fs.stat(filePath)).dev;
+  const { signal } = state.control;
+  return readLimiter.run(dev, () => runHashTask('full', filePath, state.options.hashAlgorithm, 0, 0, signal));
+}
+
+const errorLog = {
+  filePath: null,
+  pendingWrite: Promise.resolve()
+};
+
+function appendErrorLog(error) {
+  if (!errorLog.filePath) {
+    return;
+  }
+  const line = [error.time, error.operation, error.code || '-', error.path || '-', error.message].join('\t') + '\n';
+  errorLog.pendingWrite = errorLog.pendingWrite
+    .then(async () => {
+      await fs.mkdir(path.dirname(errorLog.filePath), { recursive: true });
+      await fs.appendFile(errorLog.filePath, line);
+    })
+    .catch(() => {});
+}
+
+// For something the run could not do at all, such as a missing tool, as
+// opposed to a file that failed; each message is kept once.
+function recordWarning(message) {
+  if (!state.warnings.includes(message)) {
+    state.warnings.push(message);
+  }
+}
+
+function recordError(operation, filePath, err, retry = null) {
+  if (isAbortError(err)) {
+    return;
+  }
+  const error = {
+    time: new Date().toISOString(),
+    operation: operation,
+    path: filePath,
+    code: err.code || null,
+    message: err.message,
+    retry: retry
+  };
+  state.errors.push(error);
+  state.stats.errors++;
+  events.emit('file-error', error);
+  appendErrorLog(error);
+}
+
+const filterPresetStore = {
+  filePath: null
+};
+
+async function readSavedFilterPresets() {
+  try {
+    return JSON.parse(await fs.readFile(filterPresetStore.filePath, 'utf8')).presets || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+async function writeSavedFilterPresets(presets) {
+  const tempPath = `${filterPresetStore.filePath}.tmp`;
+  await fs.mkdir(path.dirname(filterPresetStore.filePath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify({ version: 1, presets: presets }, null, 2));
+  await fs.rename(tempPath, filterPresetStore.filePath);
+}
+
+async function getFilterPresets() {
+  const saved = await readSavedFilterPresets();
+  return {
+    ...FILTER_PRESETS,
+    ...Object.fromEntries(Object.entries(saved).map(([name, preset]) => [name, { ...preset, label: name, saved: true }]))
+  };
+}
+
+async function saveFilterPreset(name, preset = {}) {
+  const presetName = String(name || '').trim();
+  if (!presetName) {
+    throw new Error('A filter preset needs a name');
+  }
+  if (FILTER_PRESETS[presetName]) {
+    throw new Error(`"${presetName}" is a built-in filter preset`);
+  }
+  const filters = createFileFilters(preset.filters);
+  compileFileFilters(filters);
+  const saved = await readSavedFilterPresets();
+  saved[presetName] = {
+    extensions: (preset.extensions || []).map(ext => String(ext).toLowerCase()),
+    filters: filters
+  };
+  await writeSavedFilterPresets(saved);
+  return getFilterPresets();
+}
+
+async function deleteFilterPreset(name) {
+  const saved = await readSavedFilterPresets();
+  delete saved[name];
+  await writeSavedFilterPresets(saved);
+  return getFilterPresets();
+}
+
+const jobStore = {
+  filePath: null,
+  lastCheckpoint: 0,
+  pendingSave: Promise.resolve()
+};
+
+// Copies still being written, and duplicates matched against them, are saved
+// as not started: their index entries and report lines are left out and their
+// counts taken back off, and currentIndex already points before the first of them.
+function serializeJobState() {
+  const pending = state.actions.filter(action => action.pending);
+  const pendingCopies = pending.filter(action => action.action !== 'duplicate');
+  return JSON.stringify({
+    version: 1,
+    savedAt: new Date().toISOString(),
+    job: state.job,
+    phase: state.phase,
+    currentIndex: state.currentIndex,
+    fileList: state.fileList,
+    deduplicationMap: [...state.deduplicationMap.values()].flat().filter(entry => !entry.pending),
+    copiedFolders: [...state.copiedFolders],
+    keptCopies: [...state.keptCopies],
+    createdDirectories: [...state.createdDirectories],
+    folderReport: state.folderReport,
+    actions: state.actions.filter(action => !action.pending),
+    errors: state.errors,
+    journalId: state.journalId,
+    startedAt: state.startedAt,
+    stats: {
+      ...state.stats,
+      scanned: state.stats.scanned - pending.length,
+      copied: state.stats.copied - pendingCopies.length,
+      duplicates: state.stats.duplicates - (pending.length - pendingCopies.length),
+      sizeCopied: state.stats.sizeCopied - pendingCopies.reduce((sum, action) => sum + action.size, 0)
+    }
+  });
+}
+
+function saveJobState() {
+  if (!jobStore.filePath || !state.job || state.dryRun) {
+    return jobStore.pendingSave;
+  }
+  jobStore.lastCheckpoint = Date.now();
+
+  const data = serializeJobState();
+  const tempPath = `${jobStore.filePath}.tmp`;
+  jobStore.pendingSave = jobStore.pendingSave
+    .then(async () => {
+      await fs.mkdir(path.dirname(jobStore.filePath), { recursive: true });
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, jobStore.filePath);
+    })
+    .catch(() => {});
+  return jobStore.pendingSave;
+}
+
+function checkpointJobState() {
+  if (Date.now() - jobStore.lastCheckpoint >= JOB_CHECKPOINT_INTERVAL) {
+    saveJobState();
+  }
+}
+
+async function loadJobState() {
+  try {
+    const data = JSON.parse(await fs.readFile(jobStore.filePath, 'utf8'));
+    return data.job ? data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function clearJobState() {
+  await jobStore.pendingSave;
+  if (jobStore.filePath) {
+    await fs.rm(jobStore.filePath, { force: true });
+  }
+}
+
+function restoreJobState(saved) {
+  state.job = saved.job;
+  setJobOptions(saved.job.options);
+  state.phase = saved.phase;
+  state.currentIndex = saved.currentIndex || 0;
+  state.fileList = saved.fileList || [];
+  state.folderList = [];
+  state.folderMap.clear();
+  state.deduplicationMap.clear();
+  for (const entry of saved.deduplicationMap || []) {
+    addToKeyIndex(state.deduplicationMap, entry);
+  }
+  state.copiedFolders = new Set(saved.copiedFolders || []);
+  state.keptCopies = new Map(saved.keptCopies || []);
+  state.createdDirectories = new Map(saved.createdDirectories || []);
+  state.folderReport = saved.folderReport || [];
+  state.actions = saved.actions || [];
+  state.errors = saved.errors || [];
+  state.journalId = saved.journalId || null;
+  state.startedAt = saved.startedAt || saved.savedAt;
+  state.plannedPaths.clear();
+  state.dryRun = false;
+  state.stats = { ...createStats(), ...saved.stats };
+}
+
+function isInternalDirectory(entry) {
+  return entry.isDirectory() && entry.name.startsWith(INTERNAL_PREFIX);
+}
+
+const journal = {
+  dirPath: null,
+  pendingWrite: Promise.resolve()
+};
+
+function getJournalPath(id) {
+  return path.join(journal.dirPath, `${id}.jsonl`);
+}
+
+function appendJournal(id, record) {
+  const line = JSON.stringify(record) + '\n';
+  journal.pendingWrite = journal.pendingWrite
+    .then(async () => {
+      await fs.mkdir(journal.dirPath, { recursive: true });
+      await fs.appendFile(getJournalPath(id), line);
+    })
+    .catch(err => recordError('journal', getJournalPath(id), err));
+  return journal.pendingWrite;
+}
+
+function beginJournal(operation, destinationFolder) {
+  if (!journal.dirPath) {
+    return;
+  }
+  const startedAt = new Date().toISOString();
+  state.journalId = `${startedAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+  appendJournal(state.journalId, { type: 'begin', operation: operation, destinationFolder: destinationFolder, startedAt: startedAt });
+}
+
+function recordJournal(record) {
+  if (state.journalId && !state.dryRun) {
+    appendJournal(state.journalId, record);
+  }
+}
+
+async function endJournal() {
+  if (!state.journalId) {
+    return;
+  }
+  appendJournal(state.journalId, { type: 'end', finishedAt: new Date().toISOString() });
+  state.journalId = null;
+  await journal.pendingWrite;
+}
+
+async function recordFileWrite(filePath, type = 'create') {
+  if (!state.journalId || state.dryRun) {
+    return;
+  }
+  const stats = await fs.stat(filePath);
+  recordJournal({ type: type, path: filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+}
+
+async function makeDirectory(dirPath, sourceDirPath = null) {
+  const created = await fs.mkdir(dirPath, { recursive: true });
+  if (!created) {
+    return;
+  }
+  recordJournal({ type: 'mkdir', path: created });
+
+  if (state.options.layout !== DEFAULT_LAYOUT || !sourceDirPath) {
+    return;
+  }
+  // Leaf folders land higher in the destination than in their source, so a
+  // created parent only takes its metadata from the source parent with the
+  // same name; the first mismatch ends the walk.
+  let createdPath = dirPath;
+  let sourcePath = sourceDirPath;
+  state.createdDirectories.set(createdPath, sourcePath);
+  while (createdPath !== created && path.dirname(createdPath) !== createdPath) {
+    createdPath = path.dirname(createdPath);
+    sourcePath = path.dirname(sourcePath);
+    if (path.basename(createdPath) !== path.basename(sourcePath)) break;
+    state.createdDirectories.set(createdPath, sourcePath);
+  }
+}
+
+async function preserveMetadata(sourcePath, targetPath) {
+  const preserve = state.options.preserve;
+  if (!PRESERVE_FIELDS.some(field => preserve[field])) {
+    return;
+  }
+  try {
+    const stats = await fs.stat(sourcePath);
+    if (preserve.owner) {
+      await fs.chown(targetPath, stats.uid, stats.gid).catch(err => {
+        if (!OWNER_SKIP_CODES.includes(err.code)) {
+          throw err;
+        }
+      });
+    }
+    if (preserve.xattrs) {
+      await copyXattrs(sourcePath, targetPath).catch(err => {
+        if (err.code === 'ENOTSUP') {
+          recordWarning(err.message);
+        } else {
+          recordError('preserve', targetPath, err);
+        }
+      });
+    }
+    if (preserve.mode) {
+      await fs.chmod(targetPath, stats.mode & 0o7777);
+    }
+    if (preserve.times) {
+      await fs.utimes(targetPath, stats.atime, stats.mtime);
+    }
+  } catch (err) {
+    recordError('preserve', targetPath, err);
+  }
+}
+
+async function applyDirectoryMetadata() {
+  const directories = [...state.createdDirectories].sort((a, b) => b[0].length - a[0].length);
+  state.createdDirectories.clear();
+  for (const [dirPath, sourceDirPath] of directories) {
+    await preserveMetadata(sourceDirPath, dirPath);
+  }
+}
+
+const disposal = {
+  trashItem: null
+};
+
+function getQuarantineRoot(destinationFolder, location) {
+  if (location === 'beside') {
+    return path.join(path.dirname(destinationFolder), `${QUARANTINE_DIR}-${path.basename(destinationFolder)}`);
+  }
+  return path.join(destinationFolder, QUARANTINE_DIR);
+}
+
+async function moveDirectory(fromPath, toPath) {
+  await fs.mkdir(path.dirname(toPath), { recursive: true });
+  try {
+    await fs.rename(fromPath, toPath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') {
+      throw err;
+    }
+    await fs.cp(fromPath, toPath, { recursive: true, preserveTimestamps: true });
+    await fs.rm(fromPath, { recursive: true, force: true });
+  }
+}
+
+async function moveToQuarantine(folderPath, destinationFolder) {
+  const relativePath = path.relative(destinationFolder, folderPath);
+  const quarantineName = relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+    ? relativePath
+    : path.basename(folderPath);
+  const quarantinePath = path.join(
+    getQuarantineRoot(destinationFolder, state.options.quarantineLocation),
+    new Date().toISOString().slice(0, 10),
+    state.journalId || 'unjournaled',
+    quarantineName
+  );
+
+  await moveDirectory(folderPath, quarantinePath);
+  recordJournal({ type: 'move', from: folderPath, to: quarantinePath });
+  return quarantinePath;
+}
+
+async function disposeFolder(folderPath, destinationFolder) {
+  if (state.options.disposal === 'trash') {
+    await disposal.trashItem(folderPath);
+    recordJournal({ type: 'trash', path: folderPath });
+    return 'Merged (moved to trash)';
+  }
+  if (state.options.disposal === 'delete') {
+    await fs.rm(folderPath, { recursive: true, force: true });
+    recordJournal({ type: 'delete', path: folderPath });
+    return 'Merged (deleted)';
+  }
+  await moveToQuarantine(folderPath, destinationFolder);
+  return 'Merged (quarantined)';
+}
+
+async function purgeQuarantine(destinationFolder, retentionDays = DEFAULT_RETENTION_DAYS) {
+  const cutoff = Date.now() - retentionDays * DAY_MS;
+  const purged = [];
+
+  for (const root of [getQuarantineRoot(destinationFolder, 'inside'), getQuarantineRoot(destinationFolder, 'beside')]) {
+    let entries;
+    try {
+      entries = await fs.readdir(root, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const day = /^\d{4}-\d{2}-\d{2}$/.test(entry.name) ? Date.parse(`${entry.name}T00:00:00Z`) : NaN;
+      if (!entry.isDirectory() || Number.isNaN(day) || day >= cutoff) {
+        continue;
+      }
+      const dayPath = path.join(root, entry.name);
+      try {
+        await fs.rm(dayPath, { recursive: true, force: true });
+        purged.push(dayPath);
+      } catch (err) {
+        recordError('purge', dayPath, err);
+      }
+    }
+    await removeEmptyTree(root).catch(() => {});
+  }
+  return purged;
+}
+
+async function removeEmptyTree(dirPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (err) {
+    return err.code === 'ENOENT';
+  }
+
+  let empty = true;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !(await removeEmptyTree(path.join(dirPath, entry.name)))) {
+      empty = false;
+    }
+  }
+  if (empty) {
+    await fs.rmdir(dirPath);
+  }
+  return empty;
+}
+
+async function readJournal(id) {
+  const data = await fs.readFile(getJournalPath(id), 'utf8');
+  return data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+async function getLastOperation() {
+  let names;
+  try {
+    names = await fs.readdir(journal.dirPath);
+  } catch (err) {
+    return null;
+  }
+
+  const ids = names
+    .filter(name => name.endsWith('.jsonl') && !name.endsWith(UNDONE_JOURNAL_SUFFIX))
+    .map(name => name.slice(0, -'.jsonl'.length))
+    .sort();
+  if (ids.length === 0) {
+    return null;
+  }
+
+  const id = ids[ids.length - 1];
+  const records = await readJournal(id);
+  const begin = records.find(record => record.type === 'begin') || {};
+  const end = records.find(record => record.type === 'end');
+  return {
+    id: id,
+    operation: begin.operation,
+    destinationFolder: begin.destinationFolder,
+    startedAt: begin.startedAt,
+    finishedAt: end ? end.finishedAt : null,
+    createdFiles: records.filter(record => record.type === 'create' || record.type === 'symlink').length,
+    movedFolders: records.filter(record => record.type === 'move').length,
+    linkedFiles: records.filter(record => record.type === 'link').length
+  };
+}
+
+async function removePartialCopies(dirPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (err) {
+    return;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      await removePartialCopies(fullPath);
+    } else if (entry.isFile() && entry.name.endsWith(PARTIAL_COPY_SUFFIX)) {
+      await fs.rm(fullPath, { force: true });
+    }
+  }
+}
+
+// Copies through streams rather than fs.copyFile so a pause holds the copy
+// between chunks and a cancel stops it part way.
+async function copyContents(sourcePath, destPath) {
+  const control = state.control;
+  const { mode } = await fs.stat(sourcePath);
+  await pipeline(
+    createReadStream(sourcePath, { highWaterMark: 1024 * 1024 }),
+    async function* (chunks) {
+      for await (const chunk of chunks) {
+        await control.checkpoint();
+        yield chunk;
+        addBytes(state.progress, 'copied', chunk.length);
+        emitProgressSoon();
+      }
+    },
+    createWriteStream(destPath, { mode: mode }),
+    { signal: control.signal }
+  );
+  await fs.chmod(destPath, mode).catch(() => {});
+}
+
+async function copyFileAtomic(sourcePath, destPath) {
+  const tempPath = destPath + PARTIAL_COPY_SUFFIX;
+  try {
+    await copyContents(sourcePath, tempPath);
+    await fs.rename(tempPath, destPath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+  await preserveMetadata(sourcePath, destPath);
+}
+
+async function placeFile(sourcePath, tempPath, mode) {
+  if (mode === 'hardlink') {
+    await fs.link(sourcePath, tempPath);
+  } else if (mode === 'reflink') {
+    await fs.copyFile(sourcePath, tempPath, fsConstants.COPYFILE_FICLONE_FORCE);
+  } else if (mode === 'move') {
+    await fs.rename(sourcePath, tempPath);
+  } else {
+    await copyContents(sourcePath, tempPath);
+  }
+  return mode;
+}
+
+async function transferFile(sourcePath, destPath) {
+  const mode = state.options.transferMode;
+  const tempPath = destPath + PARTIAL_COPY_SUFFIX;
+  let method;
+  try {
+    try {
+      method = await placeFile(sourcePath, tempPath, mode);
+    } catch (err) {
+      if (!(TRANSFER_FALLBACK_CODES[mode] || []).includes(err.code)) {
+        throw err;
+      }
+      method = await placeFile(sourcePath, tempPath, 'copy');
+    }
+    await fs.rename(tempPath, destPath);
+  } catch (err) {
+    if (method === 'move') {
+      await fs.rename(tempPath, sourcePath).catch(() => {});
+    } else {
+      await fs.rm(tempPath, { force: true });
+    }
+    throw err;
+  }
+
+  if (mode === 'move' && method === 'copy') {
+    try {
+      await fs.rm(sourcePath);
+    } catch (err) {
+      await fs.rm(destPath, { force: true });
+      throw err;
+    }
+    method = 'move';
+  }
+
+  if (method === 'move') {
+    recordJournal({ type: 'move', from: sourcePath, to: destPath });
+  } else {
+    if (method !== 'hardlink') {
+      await preserveMetadata(sourcePath, destPath);
+    }
+    await recordFileWrite(destPath);
+  }
+  return method;
+}
+
+// A moved file's source is gone, so it is checked against the hash taken
+// before the move and cannot be copied again.
+async function verifyCopy(sourcePath, targetPath, expectedHash = null, moved = false) {
+  if (moved && !expectedHash) {
+    throw new Error('The source was moved and no hash was recorded for it');
+  }
+  const expected = expectedHash || await hashFile(sourcePath);
+  let actual = await hashFileContents(targetPath);
+  let result = 'verified';
+
+  if (actual !== expected && state.options.recopyMismatches && !moved) {
+    await copyFileAtomic(sourcePath, targetPath);
+    await recordFileWrite(targetPath, 'update');
+    actual = await hashFileContents(targetPath);
+    result = 'recopied';
+  }
+  await rememberHash(targetPath, actual);
+
+  if (actual !== expected) {
+    state.stats.mismatches++;
+    const err = new Error(`Checksum mismatch (${state.options.hashAlgorithm}): expected ${expected}, got ${actual}`);
+    err.code = 'EMISMATCH';
+    recordError('verify', targetPath, err, moved ? null : { kind: 'recopy', sourcePath: sourcePath, targetPath: targetPath });
+    return 'mismatch';
+  }
+  state.stats.verified++;
+  return result;
+}
+
+async function verifyTarget(sourcePath, targetPath, expectedHash = null, moved = false) {
+  try {
+    return await verifyCopy(sourcePath, targetPath, expectedHash, moved);
+  } catch (err) {
+    recordError('verify', targetPath, err, moved ? null : { kind: 'recopy', sourcePath: sourcePath, targetPath: targetPath });
+    return 'failed';
+  }
+}
+
+async function partialHashFile(filePath) {
+  const stats = await fs.stat(filePath);
+  if (stats.size <= PARTIAL_HASH_BYTES * 2) {
+    return hashFile(filePath);
+  }
+
+  const cached = getCachedHash(filePath, stats, 'partial');
+  if (cached) {
+    return cached;
+  }
+
+  const partial = await readLimiter.run(stats.dev, () => runHashTask('partial', filePath, state.options.hashAlgorithm, stats.size, PARTIAL_HASH_BYTES, state.control.signal));
+  setCachedHash(filePath, stats, partial, 'partial');
+  return partial;
+}
+
+async function forEachConcurrently(items, limit, task) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !(await shouldStop())) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+function groupBySize(files) {
+  const groups = new Map();
+  for (const file of files) {
+    if (!groups.has(file.size)) {
+      groups.set(file.size, []);
+    }
+    groups.get(file.size).push(file);
+  }
+  return groups;
+}
+
+// Hashes every file that shares its size with another on the worker pool, so
+// the passes that decide what to copy or keep, which stay serial and in scan
+// order, find the hashes cached. Failures are left for those passes to report.
+// With trackProgress the hashed files count towards the current phase.
+async function prefetchHashes(files, trackProgress = false) {
+  const unique = [...new Map(files.filter(file => !file.linkTarget).map(file => [file.path, file])).values()];
+  const candidates = [...groupBySize(unique).values()].filter(group => group.length > 1).flat();
+  if (candidates.length === 0) {
+    return;
+  }
+  if (trackProgress) {
+    addPhaseTotal(state.progress, candidates.length);
+  }
+  emitProgress(`Hashing ${candidates.length} files with matching sizes...`);
+
+  const limit = state.options.hashConcurrency * 2;
+  const partials = new Map();
+  await forEachConcurrently(candidates, limit, async (file) => {
+    partials.set(file, await partialHashFile(file.path).catch(() => null));
+    if (trackProgress) {
+      advanceProgress(file.name);
+    }
+  });
+
+  const groups = new Map();
+  for (const [file, partial] of partials) {
+    if (partial && file.size > PARTIAL_HASH_BYTES * 2) {
+      const key = `${file.size}:${partial}`;
+      groups.set(key, (groups.get(key) || []).concat(file));
+    }
+  }
+  const fullHashes = [...groups.values()].filter(group => group.length > 1).flat();
+  if (trackProgress) {
+    addPhaseTotal(state.progress, fullHashes.length);
+  }
+  await forEachConcurrently(fullHashes, limit, async (file) => {
+    await hashFile(file.path).catch(() => null);
+    if (trackProgress) {
+      advanceProgress(file.name);
+    }
+  });
+}
+
+function createKeyIndex() {
+  return new Map();
+}
+
+function addToKeyIndex(index, entry) {
+  if (!index.has(entry.size)) {
+    index.set(entry.size, []);
+  }
+  index.get(entry.size).push(entry);
+}
+
+async function resolveEntryHash(entry, field) {
+  if (entry[field] === undefined) {
+    try {
+      entry[field] = field === 'partial' ? await partialHashFile(entry.path) : await hashFile(entry.path);
+    } catch (err) {
+      if (isAbortError(err)) {
+        throw err;
+      }
+      entry[field] = null;
+      recordError('hash', entry.path, err);
+    }
+  }
+  return entry[field];
+}
+
+async function lookupKey(indexes, file) {
+  const entry = { path: file.path, size: file.size };
+  const candidates = [];
+  for (const index of indexes) {
+    candidates.push(...(index.get(file.size) || []));
+  }
+  if (candidates.length === 0) {
+    return { entry, match: null };
+  }
+
+  const partial = await partialHashFile(file.path);
+  entry.partial = partial;
+  const partialMatches = [];
+  for (const candidate of candidates) {
+    if (await resolveEntryHash(candidate, 'partial') === partial) {
+      partialMatches.push(candidate);
+    }
+  }
+  if (partialMatches.length === 0) {
+    return { entry, match: null };
+  }
+
+  const hash = await hashFile(file.path);
+  entry.hash = hash;
+  entry.key = `${file.size}:${hash}`;
+  for (const candidate of partialMatches) {
+    if (await resolveEntryHash(candidate, 'hash') === hash) {
+      return { entry, match: candidate };
+    }
+  }
+  return { entry, match: null };
+}
+
+async function listFiles(dirPath, allowedExtensions = [], fileList = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      recordError('read-directory', dirPath, err);
+    }
+    return fileList;
+  }
+
+  for (const entry of entries) {
+    if (await shouldStop()) break;
+    if (isInternalDirectory(entry)) continue;
+    const fullPath = path.join(dirPath, entry.name);
+    try {
+      if (entry.isDirectory()) {
+        await listFiles(fullPath, allowedExtensions, fileList);
+      } else if (entry.isFile() && !entry.name.endsWith(PARTIAL_COPY_SUFFIX)) {
+        const ext = path.extname(entry.name).toLowerCase().slice(1);
+        if (allowedExtensions.length === 0 || allowedExtensions.includes(ext)) {
+          const stats = await fs.stat(fullPath);
+          fileList.push({ path: fullPath, size: stats.size, name: entry.name });
+        }
+      }
+    } catch (err) {
+      recordError('stat', fullPath, err);
+      continue;
+    }
+  }
+  return fileList;
+}
+
+async function buildKeyIndex(dirPath) {
+  const index = createKeyIndex();
+  for (const file of await listFiles(dirPath)) {
+    addToKeyIndex(index, { path: file.path, size: file.size, origin: 'destination' });
+  }
+  return index;
+}
+
+function recordDuplicate(sourcePath, size, match) {
+  return recordAction({
+    type: 'file',
+    action: 'duplicate',
+    sourcePath: sourcePath,
+    targetPath: null,
+    size: size,
+    matchedPath: match.path,
+    matchedTargetPath: match.targetPath || null,
+    matchedIn: match.origin || 'destination'
+  });
+}
+
+function buildRunReport(mode, error, job = state.job) {
+  const finishedAt = new Date();
+  const startedAt = state.startedAt ? new Date(state.startedAt) : finishedAt;
+  const errors = [...state.errors];
+  if (error) {
+    errors.push({ time: finishedAt.toISOString(), operation: 'run', path: null, code: null, message: error, retry: null });
+  }
+
+  state.lastReport = {
+    mode: mode,
+    sourceFolders: job ? job.sourceFolders : [],
+    destinationFolder: job ? job.destinationFolder : null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    hashAlgorithm: state.options.hashAlgorithm,
+    cancelled: state.control.cancelled,
+    stats: { ...state.stats },
+    folders: state.folderReport,
+    files: state.actions
+      .filter(action => action.type === 'file')
+      .map(action => ({ ...action, hashAlgorithm: state.options.hashAlgorithm })),
+    errors: errors,
+    warnings: [...state.warnings]
+  };
+  return state.lastReport;
+}
+
+function getDuplicateActions() {
+  return state.actions.filter(action => action.type === 'file' && action.action === 'duplicate');
+}
+
+const COPY_NAME_SUFFIX = /(?:_\d+|\s*\(\d+\))$/;
+
+function isSuffixedCopy(file, group) {
+  const ext = path.extname(file.name);
+  const stem = path.basename(file.name, ext);
+  const original = stem.replace(COPY_NAME_SUFFIX, '');
+  return original !== stem && group.some(other => other !== file && other.name === original + ext);
+}
+
+function getSourceRank(file) {
+  const priority = state.options.sourcePriority.length > 0 || !state.job ? state.options.sourcePriority : state.job.sourceFolders;
+  const rank = priority.findIndex(folder => {
+    const root = path.resolve(folder);
+    return file.path === root || file.path.startsWith(root + path.sep);
+  });
+  return rank === -1 ? priority.length : rank;
+}
+
+function getKeepRank(file, group) {
+  switch (state.options.keepPolicy) {
+    case 'oldest':
+      return file.mtimeMs;
+    case 'newest':
+      return -file.mtimeMs;
+    case 'shortest-path':
+      return file.path.length;
+    case 'source-priority':
+      return getSourceRank(file);
+    case 'clean-name':
+      return isSuffixedCopy(file, group) ? 1 : 0;
+    default:
+      return 0;
+  }
+}
+
+function selectKeeper(group) {
+  return group
+    .map(file => ({ file: file, rank: getKeepRank(file, group) }))
+    .reduce((best, candidate) => candidate.rank < best.rank ? candidate : best)
+    .file;
+}
+
+async function findDuplicateGroups(files, trackProgress = false) {
+  await prefetchHashes(files, trackProgress);
+  const index = createKeyIndex();
+  const groups = new Map();
+  for (const file of files) {
+    if (await shouldStop()) break;
+    let lookup;
+    try {
+      lookup = await lookupKey([index], file);
+    } catch (err) {
+      if (isAbortError(err)) break;
+      recordError('hash', file.path, err);
+      continue;
+    }
+    if (lookup.match) {
+      groups.get(lookup.match.path).push(file);
+    } else {
+      addToKeyIndex(index, lookup.entry);
+      groups.set(file.path, [file]);
+    }
+  }
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+async function resolveKeepers(files) {
+  if (state.options.keepPolicy === 'first') {
+    return;
+  }
+  emitProgress('Choosing which copies to keep...');
+
+  for (const group of await findDuplicateGroups(files)) {
+    const keeper = selectKeeper(group);
+    for (const file of group) {
+      if (file !== keeper) {
+        state.keptCopies.set(file.path, keeper.path);
+      }
+    }
+  }
+}
+
+function linkKeptDuplicates() {
+  const fileActions = new Map();
+  for (const action of state.actions) {
+    if (action.type === 'file' && !state.keptCopies.has(action.sourcePath)) {
+      fileActions.set(action.sourcePath, action);
+    }
+  }
+
+  for (const action of state.actions) {
+    if (action.type !== 'file' || state.keptCopies.get(action.sourcePath) !== action.matchedPath) continue;
+    const kept = fileActions.get(action.matchedPath);
+    if (!kept) continue;
+    if (kept.action === 'duplicate') {
+      action.matchedPath = kept.matchedPath;
+      action.matchedTargetPath = kept.matchedTargetPath;
+      action.matchedIn = kept.matchedIn;
+    } else {
+      action.matchedTargetPath = kept.targetPath;
+    }
+  }
+}
+
+function getSpecialFileReason(stats) {
+  if (stats.isFIFO()) return 'fifo';
+  if (stats.isSocket()) return 'socket';
+  if (stats.isBlockDevice()) return 'block-device';
+  if (stats.isCharacterDevice()) return 'character-device';
+  return null;
+}
+
+function recordSkipped(filePath, reason) {
+  state.stats.skipped++;
+  recordAction({ type: 'file', action: 'skipped', sourcePath: filePath, targetPath: null, size: null, reason: reason });
+}
+
+// Returns why a directory should not be entered, or null. Directories are
+// remembered by device and inode, so a symlink or bind mount leading back into
+// the tree is scanned once instead of recursing forever.
+async function checkDirectory(dirPath, walk) {
+  const stats = await fs.stat(dirPath);
+  if (state.options.oneFileSystem && stats.dev !== walk.device) {
+    return 'other-filesystem';
+  }
+  const key = `${stats.dev}:${stats.ino}`;
+  if (walk.directories.has(key)) {
+    return 'loop';
+  }
+  walk.directories.add(key);
+  return null;
+}
+
+async function scanDirectory(dirPath, fileList, folderList, allowedExtensions, relativePath = '', sourceRoot = '', walk = null) {
+  try {
+    if (!sourceRoot) {
+      sourceRoot = dirPath;
+    }
+    if (!walk) {
+      walk = { device: (await fs.stat(dirPath)).dev, directories: new Set(), files: new Set() };
+      await checkDirectory(dirPath, walk);
+    }
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    const folderFiles = [];
+    const subFolders = [];
+    let hasSubDirectories = false;
+    
+    for (const entry of entries) {
+      if (await shouldStop()) break;
+      if (isInternalDirectory(entry)) continue;
+      
+      const fullPath = path.join(dirPath, entry.name);
+      const relPath = relativePath ? path.join(relativePath, entry.name) : entry.name;
+      const relativeFromRoot = path.relative(sourceRoot, fullPath);
+      
+      try {
+        let stats = null;
+        const isLink = entry.isSymbolicLink();
+        if (isLink && state.options.symlinks === 'skip') {
+          if (state.fileFilter.includesFileName(entry.name, relativeFromRoot)) {
+            recordSkipped(fullPath, 'symlink');
+          }
+          continue;
+        }
+        if (isLink && state.options.symlinks === 'link') {
+          const targetStats = await fs.stat(fullPath).catch(() => null);
+          const included = targetStats && targetStats.isDirectory()
+            ? state.fileFilter.includesDirectory(entry.name, relativeFromRoot)
+            : state.fileFilter.includesFileName(entry.name, relativeFromRoot);
+          if (!included) continue;
+          fileList.push({
+            path: fullPath,
+            size: 0,
+            mtimeMs: (await fs.lstat(fullPath)).mtimeMs,
+            name: entry.name,
+            relativePath: relativeFromRoot,
+            sourceRoot: sourceRoot,
+            folderPath: dirPath,
+            folderRelativePath: path.dirname(relativeFromRoot),
+            linkTarget: await fs.readlink(fullPath)
+          });
+          advanceProgress(entry.name);
+          continue;
+        }
+        if (isLink) {
+          try {
+            stats = await fs.stat(fullPath);
+          } catch (err) {
+            recordSkipped(fullPath, 'broken-link');
+            continue;
+          }
+        }
+
+        const isDirectory = stats ? stats.isDirectory() : entry.isDirectory();
+        const isFile = stats ? stats.isFile() : entry.isFile();
+        if (isDirectory) {
+          if (!state.fileFilter.includesDirectory(entry.name, relativeFromRoot)) continue;
+          const skipReason = await checkDirectory(fullPath, walk);
+          if (skipReason) {
+            recordSkipped(fullPath, skipReason);
+            continue;
+          }
+          hasSubDirectories = true;
+          subFolders.push({ path: fullPath, relativePath: relPath });
+          await scanDirectory(fullPath, fileList, folderList, allowedExtensions, relPath, sourceRoot, walk);
+        } else if (isFile) {
+          const ext = path.extname(entry.name).toLowerCase().slice(1);
+          if ((allowedExtensions.length === 0 || allowedExtensions.includes(ext)) && state.fileFilter.includesFileName(entry.name, relativeFromRoot)) {
+            stats = stats || await fs.stat(fullPath);
+            if (!state.fileFilter.includesFileStats(stats)) continue;
+            // When links are followed the same file can be reached twice;
+            // it is listed once, under its real path if it was reached
+            // through a link, so hardlinking and moving act on the file.
+            if (state.options.symlinks === 'follow') {
+              const key = `${stats.dev}:${stats.ino}`;
+              if (walk.files.has(key)) continue;
+              walk.files.add(key);
+            }
+            const fileInfo = {
+              path: isLink ? await fs.realpath(fullPath) : fullPath,
+              size: stats.size,
+              mtimeMs: stats.mtimeMs,
+              name: entry.name,
+              relativePath: relativeFromRoot,
+              sourceRoot: sourceRoot,
+              folderPath: dirPath,
+              folderRelativePath: path.dirname(relativeFromRoot)
+            };
+            fileList.push(fileInfo);
+            folderFiles.push(fileInfo);
+            advanceProgress(entry.name);
+          }
+        } else {
+          const reason = getSpecialFileReason(stats || await fs.lstat(fullPath));
+          if (reason && state.fileFilter.includesFileName(entry.name, relativeFromRoot)) {
+            recordSkipped(fullPath, reason);
+          }
+        }
+      } catch (err) {
+        recordError('stat', fullPath, err);
+        continue;
+      }
+    }
+    
+    if (folderFiles.length > 0 || subFolders.length > 0) {
+      folderList.push({
+        path: dirPath,
+        relativePath: relativePath || path.basename(dirPath),
+        files: folderFiles,
+        subFolders: subFolders.map(sf => sf.relativePath),
+        isLeaf: !hasSubDirectories
+      });
+    }
+  } catch (err) {
+    recordError('read-directory', dirPath, err);
+    return;
+  }
+}
+
+function buildFolderShape(files) {
+  const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name));
+  const shape = createHasher(state.options.hashAlgorithm);
+  for (const file of sorted) {
+    shape.update(`${file.name}:${file.size}`);
+  }
+  return shape.digest('hex');
+}
+
+async function buildFolderSignature(folderInfo, allowedExtensions) {
+  return {
+    shape: buildFolderShape(folderInfo.files),
+    hash: null,
+    fileCount: folderInfo.files.length,
+    totalSize: folderInfo.files.reduce((sum, f) => sum + f.size, 0),
+    files: folderInfo.files
+  };
+}
+
+async function resolveFolderSignatureHash(signature) {
+  if (signature.hash) {
+    return signature.hash;
+  }
+
+  const fileHashes = [];
+  for (const file of signature.files) {
+    await state.control.checkpoint();
+    fileHashes.push({
+      name: file.name,
+      size: file.size,
+      hash: file.hash || await hashFile(file.path)
+    });
+  }
+
+  fileHashes.sort((a, b) => a.name.localeCompare(b.name));
+
+  const hash = createHasher(state.options.hashAlgorithm);
+  for (const fh of fileHashes) {
+    hash.update(`${fh.name}:${fh.size}:${fh.hash}`);
+  }
+  signature.hash = hash.digest('hex');
+  return signature.hash;
+}
+
+async function findFolderInDestination(signature, destinationFolderSignatures) {
+  const candidates = destinationFolderSignatures.get(signature.shape);
+  if (!candidates) {
+    return null;
+  }
+
+  const hash = await resolveFolderSignatureHash(signature);
+  for (const candidate of candidates) {
+    try {
+      if (await resolveFolderSignatureHash(candidate) === hash) {
+        return candidate;
+      }
+    } catch (err) {
+      recordError('hash-folder', candidate.path, err);
+      continue;
+    }
+  }
+  return null;
+}
+
+function recordAction(action) {
+  state.actions.push(action);
+  return action;
+}
+
+async function pathExists(filePath) {
+  if (state.plannedPaths.has(filePath)) {
+    return true;
+  }
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function createSymbolicLink(linkTarget, targetPath, sourceDirPath) {
+  await makeDirectory(path.dirname(targetPath), sourceDirPath);
+  await fs.symlink(linkTarget, targetPath);
+  recordJournal({ type: 'symlink', path: targetPath, target: linkTarget });
+}
+
+// Links are recreated with the same target text rather than deduplicated by
+// content; one already at the destination with the same target counts as a
+// duplicate.
+async function copySymbolicLink(file, destFolderPath) {
+  const destPath = path.join(destFolderPath, file.name);
+  const existing = await fs.lstat(destPath).catch(() => null);
+  if (existing && existing.isSymbolicLink() && await fs.readlink(destPath) === file.linkTarget) {
+    recordDuplicate(file.path, 0, { path: destPath, origin: 'destination' });
+    return null;
+  }
+
+  const targetPath = await getUniquePath(destPath);
+  if (state.dryRun) {
+    state.plannedPaths.add(targetPath);
+  } else {
+    try {
+      await createSymbolicLink(file.linkTarget, targetPath, file.folderPath);
+    } catch (err) {
+      err.operation = 'copy';
+      throw err;
+    }
+  }
+  recordAction({
+    type: 'file',
+    action: targetPath === destPath ? 'copy' : 'rename',
+    sourcePath: file.path,
+    targetPath: targetPath,
+    size: 0,
+    transfer: 'symlink',
+    linkTarget: file.linkTarget
+  });
+  return targetPath;
+}
+
+// Copies run one at a time unless a transfer queue is given. With a queue the
+// decision (duplicate or not, target name, index entry, report line) is still
+// made here in order, and only writing the file is left to run alongside
+// others; a write that fails takes its index entry and report line back out.
+function createTransferQueue(onError) {
+  const limit = state.options.transferMode === 'move' ? 1 : state.options.copyConcurrency;
+  if (limit <= 1 || state.dryRun) {
+    return null;
+  }
+  return { limit: limit, pending: new Map(), onError: onError };
+}
+
+const writeDevices = new Map();
+
+async function getWriteDevice(dirPath) {
+  if (!writeDevices.has(dirPath)) {
+    let dev;
+    try {
+      dev = (await fs.stat(dirPath)).dev;
+    } catch (err) {
+      const parent = path.dirname(dirPath);
+      dev = parent === dirPath ? null : await getWriteDevice(parent);
+    }
+    writeDevices.set(dirPath, dev);
+  }
+  return writeDevices.get(dirPath);
+}
+
+function queueTransfer(queue, key, destFolderPath, task, onError) {
+  const promise = getWriteDevice(destFolderPath)
+    .then(dev => writeLimiter.run(dev, task))
+    .catch(onError)
+    .finally(() => queue.pending.delete(promise));
+  queue.pending.set(promise, key);
+}
+
+// Called before each file is decided, so at most queue.limit writes run.
+async function waitForTransferSlot(queue) {
+  while (queue && queue.pending.size >= queue.limit) {
+    await Promise.race(queue.pending.keys());
+  }
+}
+
+async function drainTransfers(queue) {
+  if (queue) {
+    await Promise.all([...queue.pending.keys()]);
+  }
+}
+
+// The position to resume from after a restart: before any write still running.
+function getResumeIndex(queue, index) {
+  if (!queue) {
+    return index;
+  }
+  return Math.min(index, ...queue.pending.values());
+}
+
+async function copyUniqueFile(file, destFolderPath, lookupIndexes, targetIndex, indexByTarget = false, transfers = null, transferKey = 0) {
+  if (file.linkTarget) {
+    return copySymbolicLink(file, destFolderPath);
+  }
+
+  const keptPath = state.keptCopies.get(file.path);
+  if (keptPath) {
+    recordDuplicate(file.path, file.size, { path: keptPath, origin: 'source' });
+    return null;
+  }
+
+  let lookup;
+  try {
+    lookup = await lookupKey(lookupIndexes, file);
+  } catch (err) {
+    err.operation = 'hash';
+    throw err;
+  }
+
+  const { entry, match } = lookup;
+  if (match) {
+    const duplicate = recordDuplicate(file.path, file.size, match);
+    // Until the matched copy is written this file only counts as a duplicate
+    // if that write succeeds.
+    if (match.pending) {
+      duplicate.pending = true;
+      match.dependents.push({ file: file, destFolderPath: destFolderPath, action: duplicate });
+    }
+    return null;
+  }
+
+  const destPath = path.join(destFolderPath, file.name);
+  const targetPath = await getUniquePath(destPath);
+  const write = async () => {
+    try {
+      if ((state.options.verify || state.options.transferMode === 'move') && !entry.hash) {
+        entry.hash = await hashFile(file.path);
+      }
+    } catch (err) {
+      err.operation = 'hash';
+      throw err;
+    }
+    let transfer;
+    try {
+      await makeDirectory(destFolderPath, file.folderPath);
+      transfer = await transferFile(file.path, targetPath);
+    } catch (err) {
+      err.operation = 'copy';
+      throw err;
+    }
+    let verification;
+    if (state.options.verify) {
+      verification = await verifyTarget(file.path, targetPath, entry.hash, transfer === 'move');
+    } else if (entry.hash) {
+      await rememberHash(targetPath, entry.hash);
+    }
+    return { transfer: transfer, verification: verification, sourceHash: transfer === 'move' ? entry.hash : undefined };
+  };
+
+  let result = { transfer: state.options.transferMode, verification: undefined, sourceHash: undefined };
+  if (state.dryRun || transfers) {
+    state.plannedPaths.add(targetPath);
+  } else {
+    result = await write();
+  }
+
+  const indexEntry = (indexByTarget || result.transfer === 'move') && !state.dryRun && !transfers
+    ? { ...entry, path: targetPath, origin: 'destination' }
+    : { ...entry, origin: 'source', targetPath: targetPath };
+  addToKeyIndex(targetIndex, indexEntry);
+
+  const action = {
+    type: 'file',
+    action: targetPath === destPath ? 'copy' : 'rename',
+    sourcePath: file.path,
+    targetPath: targetPath,
+    size: file.size,
+    transfer: result.transfer,
+    verification: result.verification,
+    sourceHash: result.sourceHash
+  };
+  recordAction(action);
+
+  if (transfers) {
+    // Pending entries are left out of saved job state until they are written.
+    action.pending = true;
+    indexEntry.pending = true;
+    indexEntry.dependents = [];
+    queueTransfer(transfers, transferKey, destFolderPath, async () => {
+      Object.assign(action, await write());
+      delete action.pending;
+      delete indexEntry.pending;
+      for (const dependent of indexEntry.dependents) {
+        delete dependent.action.pending;
+      }
+      delete indexEntry.dependents;
+      if (indexByTarget || action.transfer === 'move') {
+        Object.assign(indexEntry, { path: targetPath, origin: 'destination', targetPath: undefined });
+      }
+    }, (err) => {
+      const candidates = targetIndex.get(indexEntry.size) || [];
+      candidates.splice(candidates.indexOf(indexEntry), 1);
+      state.actions.splice(state.actions.indexOf(action), 1);
+      transfers.onError(err, file, destFolderPath);
+      // Files matched against the failed copy were not copied either; they
+      // fail with it and a retry copies whichever of them comes first.
+      for (const dependent of indexEntry.dependents) {
+        state.actions.splice(state.actions.indexOf(dependent.action), 1);
+        const dependentErr = new Error(`Not copied: the identical file ${file.path} could not be written (${err.message})`);
+        dependentErr.code = err.code;
+        dependentErr.operation = 'copy';
+        transfers.onError(dependentErr, dependent.file, dependent.destFolderPath, true);
+      }
+      delete indexEntry.dependents;
+    });
+  }
+  return targetPath;
+}
+
+function recordMergeError(err, file, destPath, indexRoot) {
+  recordError(err.operation || 'stat', file.path, err, {
+    kind: 'merge',
+    sourcePath: file.path,
+    targetDir: destPath,
+    indexRoot: indexRoot
+  });
+}
+
+async function mergeFile(file, destPath, fileHashMap, indexRoot, transfers = null) {
+  try {
+    await copyUniqueFile(file, destPath, [fileHashMap], fileHashMap, true, transfers);
+  } catch (err) {
+    recordMergeError(err, file, destPath, indexRoot);
+  }
+}
+
+// With files given, only those scanned files of a leaf folder are copied;
+// otherwise the whole folder tree is merged.
+async function mergeFolderRecursive(sourcePath, destPath, fileHashMap, indexRoot = destPath, files = null) {
+  try {
+    if (!state.dryRun) {
+      await makeDirectory(destPath, sourcePath);
+    }
+    if (files) {
+      const transfers = createTransferQueue((err, file, targetDir) => recordMergeError(err, file, targetDir, indexRoot));
+      for (const file of files) {
+        await waitForTransferSlot(transfers);
+        if (await shouldStop()) break;
+        await mergeFile(file, destPath, fileHashMap, indexRoot, transfers);
+      }
+      await drainTransfers(transfers);
+      return;
+    }
+    const entries = await fs.readdir(sourcePath, { withFileTypes: true });
+    
+    for (const entry of entries) {
+      if (await shouldStop()) break;
+      if (isInternalDirectory(entry)) continue;
+      
+      const sourceEntry = path.join(sourcePath, entry.name);
+      const destEntry = path.join(destPath, entry.name);
+      
+      try {
+        if (entry.isDirectory()) {
+          await mergeFolderRecursive(sourceEntry, destEntry, fileHashMap, indexRoot);
+        } else if (entry.isFile()) {
+          let stats;
+          try {
+            stats = await fs.stat(sourceEntry);
+          } catch (err) {
+            recordError('stat', sourceEntry, err, {
+              kind: 'merge',
+              sourcePath: sourceEntry,
+              targetDir: destPath,
+              indexRoot: indexRoot
+            });
+            continue;
+          }
+          await mergeFile({ path: sourceEntry, name: entry.name, size: stats.size }, destPath, fileHashMap, indexRoot);
+        }
+      } catch (err) {
+        recordError('merge-folder', sourceEntry, err);
+        continue;
+      }
+    }
+  } catch (err) {
+    throw err;
+  }
+}
+
+async function scanDestinationFolder(dirPath, allowedExtensions, relativePath = '') {
+  const folderInfo = {
+    path: dirPath,
+    relativePath: relativePath || path.basename(dirPath),
+    files: [],
+    subFolders: []
+  };
+  
+  try {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    
+    for (const entry of entries) {
+      if (await shouldStop()) break;
+      if (isInternalDirectory(entry)) continue;
+      
+      const fullPath = path.join(dirPath, entry.name);
+      const relPath = path.join(relativePath, entry.name);
+      
+      try {
+        if (entry.isDirectory()) {
+          const subFolder = await scanDestinationFolder(fullPath, allowedExtensions, relPath);
+          folderInfo.subFolders.push(subFolder);
+        } else if (entry.isFile()) {
+          const ext = path.extname(entry.name).toLowerCase().slice(1);
+          if (allowedExtensions.length === 0 || allowedExtensions.includes(ext)) {
+            const stats = await fs.stat(fullPath);
+            folderInfo.files.push({
+              path: fullPath,
+              size: stats.size,
+              name: entry.name
+            });
+          }
+        }
+      } catch (err) {
+        recordError('stat', fullPath, err);
+        continue;
+      }
+    }
+  } catch (err) {
+    recordError('read-directory', dirPath, err);
+    return folderInfo;
+  }
+  
+  return folderInfo;
+}
+
+async function buildDestinationFolderSignature(folderInfo) {
+  return {
+    path: folderInfo.path,
+    shape: buildFolderShape(folderInfo.files),
+    hash: null,
+    files: folderInfo.files
+  };
+}
+
+async function buildDestinationFolderSignatures(destinationFolder, allowedExtensions) {
+  const destinationFolderSignatures = new Map();
+  try {
+    const destFolders = await fs.readdir(destinationFolder, { withFileTypes: true });
+    for (const entry of destFolders) {
+      if (await shouldStop()) break;
+      if (entry.isDirectory() && !isInternalDirectory(entry)) {
+        const fullPath = path.join(destinationFolder, entry.name);
+        try {
+          const destFolderInfo = await scanDestinationFolder(fullPath, allowedExtensions);
+          const destSignature = await buildDestinationFolderSignature(destFolderInfo);
+          if (!destinationFolderSignatures.has(destSignature.shape)) {
+            destinationFolderSignatures.set(destSignature.shape, []);
+          }
+          destinationFolderSignatures.get(destSignature.shape).push(destSignature);
+        } catch (err) {
+          recordError('scan-folder', fullPath, err);
+          continue;
+        }
+      }
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      recordError('read-directory', destinationFolder, err);
+    }
+  }
+  return destinationFolderSignatures;
+}
+
+function getDestinationFolderPath(destinationFolder, file) {
+  const sourceFolderRelativePath = file.folderRelativePath || '';
+  if (sourceFolderRelativePath && sourceFolderRelativePath !== '.') {
+    const folderParts = sourceFolderRelativePath.split(path.sep).filter(p => p);
+    const normalizedParts = folderParts.map(part => normalizeFolderName(part));
+    return path.join(destinationFolder, ...normalizedParts);
+  }
+  return destinationFolder;
+}
+
+function padDatePart(value) {
+  return String(value).padStart(2, '0');
+}
+
+async function getFileDate(file) {
+  const ext = path.extname(file.name).toLowerCase().slice(1);
+  const exifDate = EXIF_EXTENSIONS.includes(ext) ? await readExifDate(file.path) : null;
+  if (exifDate) {
+    return { year: String(exifDate.year), month: padDatePart(exifDate.month), day: padDatePart(exifDate.day) };
+  }
+  const modified = new Date(file.mtimeMs === undefined ? (await fs.stat(file.path)).mtimeMs : file.mtimeMs);
+  return { year: String(modified.getFullYear()), month: padDatePart(modified.getMonth() + 1), day: padDatePart(modified.getDate()) };
+}
+
+async function getDestinationPath(destinationFolder, file) {
+  const layout = state.options.layout;
+  const values = {
+    name: file.name,
+    stem: path.basename(file.name, path.extname(file.name)),
+    ext: path.extname(file.name).toLowerCase().slice(1) || 'no-extension',
+    source: path.basename(file.sourceRoot || ''),
+    relpath: file.relativePath || file.name,
+    folder: path.relative(destinationFolder, getDestinationFolderPath(destinationFolder, file))
+  };
+  if (usesDateTokens(layout)) {
+    Object.assign(values, await getFileDate(file));
+  }
+  return path.join(destinationFolder, renderLayout(layout, values) || file.name);
+}
+
+async function getUniquePath(destPath) {
+  const ext = path.extname(destPath);
+  const base = path.basename(destPath, ext);
+  const dir = path.dirname(destPath);
+  let uniquePath = destPath;
+  let counter = 1;
+  while (await pathExists(uniquePath)) {
+    uniquePath = path.join(dir, `${base}_${counter}${ext}`);
+    counter++;
+  }
+  return uniquePath;
+}
+
+// Links are not part of leaf folder signatures, so they are copied one by one;
+// those from a merged leaf folder follow it to its (possibly renamed) target.
+function getMergedFolderDestination(file) {
+  if (!file.linkTarget || !state.copiedFolders.has(file.folderPath)) {
+    return null;
+  }
+  const folder = state.folderReport.find(entry => entry.sourcePath === file.folderPath);
+  return folder ? folder.destinationPath : null;
+}
+
+// Files inside copied folders, and files already handled before a restart:
+// with concurrent copies a job may resume from before some that finished.
+function getProcessedFiles() {
+  const processedFiles = new Set(state.actions
+    .filter(action => action.type === 'file' && action.sourcePath && !action.pending)
+    .map(action => action.sourcePath));
+  for (const folderPath of state.copiedFolders) {
+    for (const file of state.fileList) {
+      if (!file.linkTarget && (file.folderPath === folderPath || file.path.startsWith(folderPath + path.sep))) {
+        processedFiles.add(file.path);
+      }
+    }
+  }
+  return processedFiles;
+}
+
+async function processFileList(destinationFolder, destinationMap) {
+  const processedFiles = getProcessedFiles();
+  await resolveKeepers(state.fileList.filter(file => !file.linkTarget && !processedFiles.has(file.path)));
+  startPhase(state.progress, 'copy', state.fileList.length, state.currentIndex);
+  emitProgress('Copying files...');
+
+  const transfers = createTransferQueue((err, file, destFolderPath, matched = false) => {
+    if (matched) {
+      state.stats.duplicates--;
+    } else {
+      state.stats.copied--;
+      state.stats.sizeCopied -= file.size;
+    }
+    recordError(err.operation || 'copy', file.path, err, {
+      kind: 'file',
+      sourcePath: file.path,
+      targetDir: destFolderPath,
+      targetName: file.name,
+      indexRoot: destinationFolder,
+      linkTarget: file.linkTarget
+    });
+  });
+
+  for (let i = state.currentIndex; i < state.fileList.length; i++) {
+    await waitForTransferSlot(transfers);
+    if (await shouldStop()) break;
+
+    const file = state.fileList[i];
+    advancePhase(state.progress);
+    
+    if (processedFiles.has(file.path)) {
+      state.currentIndex = i + 1;
+      continue;
+    }
+    
+    state.stats.scanned++;
+    
+    emitProgress(file.name);
+
+    let destFolderPath = destinationFolder;
+    let targetName = file.name;
+    try {
+      const mergedFolder = getMergedFolderDestination(file);
+      const layoutPath = mergedFolder ? path.join(mergedFolder, file.name) : await getDestinationPath(destinationFolder, file);
+      destFolderPath = path.dirname(layoutPath);
+      targetName = path.basename(layoutPath);
+      const targetPath = await copyUniqueFile({ ...file, name: targetName }, destFolderPath, [state.deduplicationMap, destinationMap], state.deduplicationMap, false, transfers, i);
+      if (targetPath) {
+        state.stats.copied++;
+        state.stats.sizeCopied += file.size;
+      } else {
+        state.stats.duplicates++;
+      }
+      state.currentIndex = getResumeIndex(transfers, i + 1);
+      checkpointJobState();
+
+      emitProgress(file.name);
+    } catch (err) {
+      if (state.control.cancelled) break;
+      recordError(err.operation || 'copy', file.path, err, {
+        kind: 'file',
+        sourcePath: file.path,
+        targetDir: destFolderPath,
+        targetName: targetName,
+        indexRoot: destinationFolder,
+        linkTarget: file.linkTarget
+      });
+      state.currentIndex = getResumeIndex(transfers, i + 1);
+      continue;
+    }
+  }
+
+  await drainTransfers(transfers);
+  emitProgress();
+  if (!state.control.cancelled) {
+    state.currentIndex = state.fileList.length;
+  }
+}
+
+async function runCopyJob(sourceFolders, destinationFolder, extensions, options = {}) {
+  try {
+    startJob();
+    state.dryRun = Boolean(options.dryRun);
+    setJobOptions(options);
+    state.job = {
+      sourceFolders: [...sourceFolders],
+      destinationFolder: destinationFolder,
+      extensions: [...(extensions || [])],
+      options: state.options
+    };
+    state.phase = 'scanning';
+    state.currentIndex = 0;
+    state.deduplicationMap.clear();
+    state.fileList = [];
+    state.folderList = [];
+    state.folderMap.clear();
+    state.copiedFolders.clear();
+    state.keptCopies.clear();
+    state.createdDirectories.clear();
+    state.folderReport = [];
+    state.actions = [];
+    state.plannedPaths.clear();
+    state.errors = [];
+    state.journalId = options.journalId || null;
+    state.startedAt = new Date().toISOString();
+    state.stats = createStats();
+    if (!state.dryRun && !state.journalId) {
+      beginJournal('copy', destinationFolder);
+    }
+
+    const allowedExtensions = (extensions || []).map(ext => ext.toLowerCase());
+    await saveJobState();
+
+    startPhase(state.progress, 'scan');
+    emitProgress('Scanning source folders...');
+    for (const folder of sourceFolders) {
+      if (await shouldStop()) break;
+      await scanDirectory(folder, state.fileList, state.folderList, allowedExtensions, '', folder);
+    }
+
+    startPhase(state.progress, 'index');
+    emitProgress('Scanning destination folder...');
+
+    const destinationMap = await buildKeyIndex(destinationFolder);
+    await prefetchHashes([...state.fileList, ...[...destinationMap.values()].flat()], true);
+
+    const folderGroupsByName = new Map();
+    const leafFolders = state.options.layout === DEFAULT_LAYOUT ? state.folderList.filter(f => f.isLeaf) : [];
+    startPhase(state.progress, 'signatures', leafFolders.length);
+    emitProgress('Reading destination folders...');
+    const destinationFolderSignatures = await buildDestinationFolderSignatures(destinationFolder, allowedExtensions);
+    
+    for (const folderInfo of leafFolders) {
+      if (await shouldStop()) break;
+      
+      try {
+        const signature = await buildFolderSignature(folderInfo, allowedExtensions);
+        if (await shouldStop()) break;
+        
+        const folderName = path.basename(folderInfo.path);
+        const normalizedName = normalizeFolderName(folderName);
+        
+        if (!folderGroupsByName.has(normalizedName)) {
+          folderGroupsByName.set(normalizedName, []);
+        }
+        
+        folderGroupsByName.get(normalizedName).push({
+          signature: signature,
+          folderInfo: folderInfo
+        });
+      } catch (err) {
+        if (await shouldStop()) break;
+        recordError('scan-folder', folderInfo.path, err);
+        continue;
+      }
+    }
+
+    for (const [normalizedName, folderGroup] of folderGroupsByName) {
+      if (await shouldStop()) break;
+      
+      let destFolderPath = path.join(destinationFolder, normalizedName);
+      
+      let fileHashMap = createKeyIndex();
+      let destFolderExists = false;
+      
+      try {
+        const stats = await fs.stat(destFolderPath);
+        if (stats.isDirectory()) {
+          destFolderExists = true;
+          fileHashMap = await buildKeyIndex(destFolderPath);
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          recordError('stat', destFolderPath, err);
+        }
+      }
+      
+      if (!destFolderExists && !state.dryRun) {
+        try {
+          await makeDirectory(destFolderPath, folderGroup[0].folderInfo.path);
+        } catch (err) {
+          recordError('create-folder', destFolderPath, err);
+          continue;
+        }
+      }
+      
+      await resolveKeepers(folderGroup.flatMap(folderData => folderData.folderInfo.files));
+
+      for (const folderData of folderGroup) {
+        if (await shouldStop()) break;
+        
+        const sourcePath = folderData.folderInfo.path;
+        let status = 'Not Copied';
+        let matchedFolder = null;
+        
+        try {
+          matchedFolder = await findFolderInDestination(folderData.signature, destinationFolderSignatures);
+        } catch (err) {
+          if (await shouldStop()) break;
+          recordError('hash-folder', sourcePath, err);
+        }
+        
+        if (matchedFolder) {
+          state.copiedFolders.add(sourcePath);
+          state.stats.duplicates += folderData.signature.fileCount;
+          status = 'Duplicate (Exists in Destination)';
+          recordAction({
+            type: 'folder',
+            action: 'duplicate',
+            sourcePath: sourcePath,
+            targetPath: null,
+            size: folderData.signature.totalSize,
+            matchedPath: matchedFolder.path,
+            matchedIn: 'destination'
+          });
+          for (const file of folderData.signature.files) {
+            recordDuplicate(file.path, file.size, { path: path.join(matchedFolder.path, file.name), origin: 'destination' });
+          }
+        } else {
+          try {
+            const folderAction = recordAction({ type: 'folder', action: 'copy', sourcePath: sourcePath, targetPath: destFolderPath, size: folderData.signature.totalSize });
+            const firstError = state.errors.length;
+            await mergeFolderRecursive(sourcePath, destFolderPath, fileHashMap, destFolderPath, folderData.folderInfo.files);
+            
+            // Counted from what became of each file: some may already be in
+            // the destination folder and some may have failed.
+            const fileActions = state.actions.slice(state.actions.indexOf(folderAction) + 1);
+            const copies = fileActions.filter(isPlannedCopy);
+            const failed = state.errors.length - firstError;
+            state.copiedFolders.add(sourcePath);
+            state.stats.copied += copies.length;
+            state.stats.sizeCopied += copies.reduce((sum, action) => sum + action.size, 0);
+            state.stats.duplicates += fileActions.filter(action => action.action === 'duplicate').length;
+            if (failed === 0) {
+              status = 'Copied';
+            } else if (fileActions.length > 0) {
+              status = `Partly copied: ${failed} file(s) failed`;
+            } else {
+              status = `Error: ${failed} file(s) could not be copied`;
+            }
+            
+            emitProgress(`Folder: ${normalizedName}`);
+          } catch (err) {
+            status = 'Error: ' + err.message;
+            recordError('copy-folder', sourcePath, err);
+          }
+        }
+        
+        state.folderReport.push({
+          sourcePath: sourcePath,
+          destinationPath: destFolderPath,
+          status: status
+        });
+        advanceProgress(path.basename(sourcePath));
+      }
+    }
+
+    if (!state.control.cancelled) {
+      state.phase = 'copying';
+      await saveJobState();
+    }
+
+    await processFileList(destinationFolder, destinationMap);
+
+    await finishCopyJob();
+  } catch (err) {
+    await saveHashCache();
+    state.keptCopies.clear();
+    buildRunReport(state.dryRun ? 'dry-run' : 'copy', err.message);
+    events.emit('process-complete', { 
+      stats: { ...state.stats },
+      report: state.folderReport,
+      error: err.message 
+    });
+  }
+}
+
+// A cancelled job cannot be resumed: partial copies are removed, files that
+// were fully written stay (the journal is closed so Undo can remove them) and
+// the saved job state is dropped.
+async function cancelCopyJob() {
+  state.keptCopies.clear();
+  if (!state.dryRun) {
+    await removePartialCopies(state.job.destinationFolder);
+    await endJournal();
+  }
+  buildRunReport(state.dryRun ? 'dry-run' : state.phase === 'executing' ? 'execute-plan' : 'copy');
+  state.phase = 'idle';
+  state.job = null;
+  await clearJobState();
+  events.emit('process-complete', {
+    stats: { ...state.stats },
+    report: state.folderReport,
+    duplicates: getDuplicateActions(),
+    errors: state.errors,
+    warnings: state.warnings,
+    message: state.dryRun
+      ? 'Preview cancelled.'
+      : `Cancelled. ${state.stats.copied} file(s) already copied were kept; use Undo to remove them.`
+  });
+}
+
+async function finishCopyJob() {
+  await saveHashCache();
+
+  if (state.control.cancelled) {
+    await cancelCopyJob();
+    return;
+  }
+
+  linkKeptDuplicates();
+  state.keptCopies.clear();
+
+  if (state.dryRun) {
+    state.phase = 'planned';
+    buildRunReport('dry-run');
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      duplicates: getDuplicateActions(),
+      errors: state.errors,
+      dryRun: true,
+      plan: state.actions
+    });
+    return;
+  }
+
+  await applyDirectoryMetadata();
+  buildRunReport(state.phase === 'executing' ? 'execute-plan' : 'copy');
+  await endJournal();
+  state.phase = 'idle';
+  state.job = null;
+  await clearJobState();
+  events.emit('process-complete', { 
+    stats: { ...state.stats },
+    report: state.folderReport,
+    duplicates: getDuplicateActions(),
+    errors: state.errors,
+    warnings: state.warnings
+  });
+}
+
+function isPlannedCopy(action) {
+  return action.type === 'file' && (action.action === 'copy' || action.action === 'rename');
+}
+
+async function executePlan() {
+  try {
+    if (state.phase === 'planned') {
+      state.dryRun = false;
+      state.phase = 'executing';
+      state.currentIndex = 0;
+      state.startedAt = new Date().toISOString();
+      state.plannedPaths.clear();
+      state.errors = [];
+      state.stats = createStats();
+      state.stats.duplicates = state.actions.filter(a => a.type === 'file' && a.action === 'duplicate').length;
+      beginJournal('execute-plan', state.job.destinationFolder);
+    }
+    startJob();
+    startPhase(state.progress, 'copy', state.actions.filter(isPlannedCopy).length, state.actions.slice(0, state.currentIndex).filter(isPlannedCopy).length);
+    await saveJobState();
+
+    const recordPlanError = (err, action) => recordError('copy', action.sourcePath, err, {
+      kind: 'plan',
+      sourcePath: action.sourcePath,
+      targetPath: action.targetPath,
+      linkTarget: action.linkTarget
+    });
+    const copyAction = async (action) => {
+      const expectedHash = state.options.verify || state.options.transferMode === 'move' ? await hashFile(action.sourcePath) : null;
+      await makeDirectory(path.dirname(action.targetPath), path.dirname(action.sourcePath));
+      action.transfer = await transferFile(action.sourcePath, action.targetPath);
+      if (action.transfer === 'move') {
+        action.sourceHash = expectedHash;
+      }
+      state.stats.copied++;
+      state.stats.sizeCopied += action.size;
+      if (state.options.verify) {
+        action.verification = await verifyTarget(action.sourcePath, action.targetPath, expectedHash, action.transfer === 'move');
+      }
+      checkpointJobState();
+    };
+    const transfers = createTransferQueue(recordPlanError);
+
+    for (let i = state.currentIndex; i < state.actions.length; i++) {
+      if (await shouldStop()) break;
+
+      const action = state.actions[i];
+      if (!isPlannedCopy(action)) {
+        continue;
+      }
+      advancePhase(state.progress);
+
+      state.stats.scanned++;
+      emitProgress(path.basename(action.sourcePath));
+
+      try {
+        if (await pathExists(action.targetPath)) {
+          continue;
+        }
+        if (action.transfer === 'symlink') {
+          await createSymbolicLink(action.linkTarget, action.targetPath, path.dirname(action.sourcePath));
+          state.stats.copied++;
+          checkpointJobState();
+          continue;
+        }
+        if (transfers) {
+          await waitForTransferSlot(transfers);
+          queueTransfer(transfers, i, path.dirname(action.targetPath), () => copyAction(action), err => recordPlanError(err, action));
+          continue;
+        }
+        await copyAction(action);
+      } catch (err) {
+        if (state.control.cancelled) break;
+        recordPlanError(err, action);
+      } finally {
+        state.currentIndex = getResumeIndex(transfers, i + 1);
+      }
+    }
+
+    await drainTransfers(transfers);
+
+    await finishCopyJob();
+  } catch (err) {
+    buildRunReport('execute-plan', err.message);
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      error: err.message
+    });
+  }
+}
+
+async function getAllFolders(dirPath, folderList = [], parentPath = '') {
+  try {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    let hasSubFolders = false;
+    
+    for (const entry of entries) {
+      if (entry.isDirectory() && !isInternalDirectory(entry)) {
+        hasSubFolders = true;
+        const fullPath = path.join(dirPath, entry.name);
+        const relativeParent = parentPath ? path.join(parentPath, path.basename(dirPath)) : path.basename(dirPath);
+        await getAllFolders(fullPath, folderList, relativeParent);
+      }
+    }
+    
+    if (!hasSubFolders) {
+      const folderName = path.basename(dirPath);
+      folderList.push({ 
+        path: dirPath, 
+        name: folderName, 
+        parent: path.dirname(dirPath),
+        isLeaf: true
+      });
+    }
+  } catch (err) {
+    recordError('read-directory', dirPath, err);
+  }
+  return folderList;
+}
+
+async function previewFolderGroups(folders, folderNameRules) {
+  const normalize = compileFolderNameRules(folderNameRules);
+  const groups = new Map();
+  for (const folder of folders) {
+    for (const leafFolder of await getAllFolders(folder)) {
+      const normalizedName = normalize(leafFolder.name);
+      if (!groups.has(normalizedName)) {
+        groups.set(normalizedName, []);
+      }
+      groups.get(normalizedName).push(leafFolder.path);
+    }
+  }
+  return [...groups]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, paths]) => ({ name: name, folders: paths }));
+}
+
+// Adds fileCount and totalSize to each folder of a merge group, and overlap:
+// for every other member, the percentage of this folder's files whose
+// content that member already holds.
+async function describeMergeGroup(folders) {
+  const members = [];
+  for (const folder of folders) {
+    const files = await listFiles(folder.path);
+    const index = createKeyIndex();
+    for (const file of files) {
+      addToKeyIndex(index, { path: file.path, size: file.size });
+    }
+    members.push({ folder: folder, files: files, index: index });
+  }
+  await prefetchHashes(members.flatMap(member => member.files), true);
+
+  for (const member of members) {
+    member.folder.fileCount = member.files.length;
+    member.folder.totalSize = member.files.reduce((sum, file) => sum + file.size, 0);
+    member.folder.overlap = {};
+    for (const other of members) {
+      if (other === member) continue;
+      let shared = 0;
+      for (const file of member.files) {
+        if (await shouldStop()) break;
+        try {
+          if ((await lookupKey([other.index], file)).match) {
+            shared++;
+          }
+        } catch (err) {
+          if (isAbortError(err)) break;
+          recordError('hash', file.path, err);
+        }
+      }
+      member.folder.overlap[other.folder.path] = member.files.length > 0 ? Math.round(shared / member.files.length * 100) : 0;
+    }
+  }
+}
+
+async function findMergeGroups(destinationFolder, options = {}) {
+  try {
+    setJobOptions(options);
+    startJob();
+    state.errors = [];
+    state.stats = createStats();
+
+    emitProgress('Scanning destination folder...');
+
+    const allFolders = await getAllFolders(destinationFolder);
+    const leafFolders = allFolders.filter(f => f.isLeaf);
+    const folderGroups = new Map();
+
+    for (const folder of leafFolders) {
+      if (await shouldStop()) break;
+      
+      const folderName = folder.name;
+      const normalizedName = normalizeFolderName(folderName);
+      
+      if (!folderGroups.has(normalizedName)) {
+        folderGroups.set(normalizedName, []);
+      }
+      folderGroups.get(normalizedName).push(folder);
+    }
+
+    const foldersToMerge = [];
+    for (const [normalizedName, folders] of folderGroups) {
+      if (folders.length > 1) {
+        const firstFolder = folders[0];
+        foldersToMerge.push({ 
+          name: normalizedName, 
+          folders: folders, 
+          parent: firstFolder.parent 
+        });
+      }
+    }
+
+    if (foldersToMerge.length === 0) {
+      events.emit('merge-complete', { 
+        stats: { ...state.stats },
+        message: 'No duplicate folders found to merge.'
+      });
+      return [];
+    }
+
+    startPhase(state.progress, 'compare');
+    for (const item of foldersToMerge) {
+      if (await shouldStop()) break;
+      emitProgress(`Comparing folders: ${item.name}`);
+      await describeMergeGroup(item.folders);
+    }
+    await saveHashCache();
+
+    if (state.control.cancelled) {
+      events.emit('merge-complete', {
+        stats: { ...state.stats },
+        cancelled: true,
+        message: 'Merge cancelled. Nothing was changed.'
+      });
+      return [];
+    }
+
+    const mergeRequests = foldersToMerge.map(item => ({
+      name: item.name,
+      count: item.folders.length,
+      folders: item.folders,
+      parent: item.parent,
+      target: item.folders[0].path
+    }));
+
+    events.emit('merge-confirmation', { folders: mergeRequests });
+    return mergeRequests;
+  } catch (err) {
+    events.emit('merge-complete', { 
+      stats: { ...state.stats },
+      error: err.message 
+    });
+    return [];
+  }
+}
+
+async function mergeFolders(destinationFolder, foldersToMerge, options = {}) {
+  try {
+    startJob();
+    state.dryRun = false;
+    setJobOptions(options);
+    if (state.options.disposal === 'trash' && !disposal.trashItem) {
+      throw new Error('Moving folders to the trash is not available here, use quarantine or delete instead.');
+    }
+    state.actions = [];
+    state.folderReport = [];
+    state.plannedPaths.clear();
+    state.startedAt = new Date().toISOString();
+    beginJournal('merge', destinationFolder);
+    startPhase(state.progress, 'merge', foldersToMerge.reduce((sum, folderInfo) => sum + Math.max(0, folderInfo.folders.length - 1), 0));
+
+    for (const folderInfo of foldersToMerge) {
+      if (await shouldStop()) break;
+
+      const normalizedName = folderInfo.name;
+      // Groups come back from the review, so only folders inside the
+      // destination are merged and the target must be one of them.
+      const folders = folderInfo.folders.filter(folder => isInsideFolder(folder.path, destinationFolder));
+      const targetFolder = folderInfo.target || (folders[0] && folders[0].path);
+      if (folders.length < 2 || !folders.some(folder => folder.path === targetFolder)) continue;
+      
+      emitProgress(`Merging folder: ${normalizedName}`);
+
+      const fileHashMap = await buildKeyIndex(targetFolder);
+
+      for (const folder of folders) {
+        if (await shouldStop()) break;
+        if (folder.path === targetFolder) continue;
+        advanceProgress(folder.name);
+
+        const errorCount = state.errors.length;
+        try {
+          await mergeFolderRecursive(folder.path, targetFolder, fileHashMap);
+          // A cancelled merge stops partway through, so the source still
+          // holds files that never reached the target.
+          if (state.control.cancelled) {
+            state.folderReport.push({ sourcePath: folder.path, destinationPath: targetFolder, status: 'Cancelled; folder kept' });
+            break;
+          }
+          const failed = state.errors.length - errorCount;
+          if (failed > 0) {
+            state.folderReport.push({
+              sourcePath: folder.path,
+              destinationPath: targetFolder,
+              status: `Error: ${failed} file(s) could not be merged; folder kept`
+            });
+            continue;
+          }
+          const status = await disposeFolder(folder.path, destinationFolder);
+          state.folderReport.push({ sourcePath: folder.path, destinationPath: targetFolder, status: status });
+        } catch (err) {
+          if (state.control.cancelled) {
+            state.folderReport.push({ sourcePath: folder.path, destinationPath: targetFolder, status: 'Cancelled; folder kept' });
+            break;
+          }
+          recordError('merge-folder', folder.path, err);
+          state.folderReport.push({ sourcePath: folder.path, destinationPath: targetFolder, status: 'Error: ' + err.message });
+          continue;
+        }
+      }
+    }
+
+    const cancelled = state.control.cancelled;
+    if (cancelled) {
+      await removePartialCopies(destinationFolder);
+    }
+    await applyDirectoryMetadata();
+    await saveHashCache();
+    await endJournal();
+    buildRunReport('merge', null, { sourceFolders: [], destinationFolder: destinationFolder });
+    events.emit('merge-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      duplicates: getDuplicateActions(),
+      errors: state.errors,
+      warnings: state.warnings,
+      cancelled: cancelled,
+      ...(cancelled ? { message: 'Merge cancelled. Source folders were kept; files already merged can be removed with Undo.' } : {})
+    });
+  } catch (err) {
+    await endJournal();
+    buildRunReport('merge', err.message, { sourceFolders: [], destinationFolder: destinationFolder });
+    events.emit('merge-complete', { 
+      stats: { ...state.stats },
+      error: err.message 
+    });
+  }
+}
+
+function isInsideFolder(filePath, folderPath) {
+  const relativePath = path.relative(folderPath, filePath);
+  return Boolean(relativePath) && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+// Clusters images whose perceptual hashes are close. The largest image in
+// each cluster (then the largest file) is suggested as the keeper, and a
+// cluster that only chains together through intermediate images is split so
+// every member is within the threshold of its keeper.
+function splitAroundKeepers(cluster) {
+  const groups = [];
+  let remaining = cluster;
+  while (remaining.length > 1) {
+    const keeper = [...remaining].sort((a, b) => b.width * b.height - a.width * a.height || b.size - a.size)[0];
+    const members = remaining.filter(image => hammingDistance(image.hash, keeper.hash) <= state.options.similarityThreshold);
+    if (members.length > 1) {
+      groups.push({ keeper: keeper, members: members });
+    }
+    remaining = remaining.filter(image => !members.includes(image));
+  }
+  return groups;
+}
+
+async function findSimilarGroups(files) {
+  const images = [];
+  let unsupported = 0;
+  for (const file of files) {
+    if (await shouldStop()) break;
+    advancePhase(state.progress);
+    emitProgress(file.name);
+    try {
+      images.push({ ...file, ...(await getImageHash(file.path)) });
+    } catch (err) {
+      if (err.code === 'ENOTSUP') {
+        unsupported++;
+      } else {
+        recordError('image-hash', file.path, err);
+      }
+    }
+  }
+
+  const groups = clusterByDistance(images, state.options.similarityThreshold).flatMap(splitAroundKeepers).map(({ keeper, members }) => {
+    return {
+      size: keeper.size,
+      keeper: keeper.path,
+      files: members.map(image => ({
+        path: image.path,
+        mtimeMs: image.mtimeMs,
+        size: image.size,
+        width: image.width,
+        height: image.height,
+        distance: hammingDistance(image.hash, keeper.hash)
+      }))
+    };
+  });
+  return { groups: groups, unsupported: unsupported };
+}
+
+async function looksSimilar(filePath, otherPath) {
+  const image = await getImageHash(filePath);
+  const other = await getImageHash(otherPath);
+  return hammingDistance(image.hash, other.hash) <= state.options.similarityThreshold;
+}
+
+async function findTreeDuplicates(rootFolder, extensions, options = {}) {
+  try {
+    setJobOptions(options);
+    startJob();
+    state.errors = [];
+    state.actions = [];
+    state.stats = createStats();
+
+    const similar = state.options.matchMode === 'similar';
+    let allowedExtensions = (extensions || []).map(ext => ext.toLowerCase());
+    if (similar) {
+      allowedExtensions = IMAGE_EXTENSIONS.filter(ext => allowedExtensions.length === 0 || allowedExtensions.includes(ext));
+      if (allowedExtensions.length === 0) {
+        throw new Error(`Select at least one image type (${IMAGE_EXTENSIONS.join(', ')}) to look for similar images`);
+      }
+    }
+
+    startPhase(state.progress, 'scan');
+    emitProgress('Scanning folder...');
+
+    const scanned = [];
+    await scanDirectory(rootFolder, scanned, [], allowedExtensions, '', rootFolder);
+    // Copying links as links has no meaning when cleaning in place.
+    const files = scanned.filter(file => !file.linkTarget);
+    state.stats.scanned = files.length;
+
+    startPhase(state.progress, 'compare', similar ? files.length : 0);
+    emitProgress(similar ? 'Comparing images...' : 'Comparing files...');
+
+    let groups;
+    let unsupported = 0;
+    if (similar) {
+      ({ groups, unsupported } = await findSimilarGroups(files));
+    } else {
+      groups = (await findDuplicateGroups(files, true)).map(group => ({
+        size: group[0].size,
+        keeper: selectKeeper(group).path,
+        files: group.map(file => ({ path: file.path, mtimeMs: file.mtimeMs, size: file.size }))
+      }));
+    }
+    await saveHashCache();
+
+    if (state.control.cancelled) {
+      events.emit('dedupe-complete', {
+        stats: { ...state.stats },
+        errors: state.errors,
+        cancelled: true,
+        message: 'Duplicate search cancelled. Nothing was changed.'
+      });
+      return [];
+    }
+
+    if (groups.length === 0) {
+      events.emit('dedupe-complete', {
+        stats: { ...state.stats },
+        errors: state.errors,
+        message: similar ? 'No similar images found.' : 'No duplicate files found.'
+      });
+      return [];
+    }
+
+    events.emit('dedupe-review', {
+      rootFolder: rootFolder,
+      matchMode: state.options.matchMode,
+      groups: groups,
+      unsupported: unsupported,
+      skipped: state.actions.filter(action => action.action === 'skipped'),
+      reclaimable: groups.reduce((sum, group) => sum + group.files
+        .filter(file => file.path !== group.keeper)
+        .reduce((total, file) => total + file.size, 0), 0)
+    });
+    return groups;
+  } catch (err) {
+    events.emit('dedupe-complete', {
+      stats: { ...state.stats },
+      error: err.message
+    });
+    return [];
+  }
+}
+
+async function replaceDuplicate(duplicatePath, keeperPath, rootFolder) {
+  if (duplicatePath === keeperPath || !isInsideFolder(duplicatePath, rootFolder)) {
+    throw new Error(`Not a duplicate inside ${rootFolder}`);
+  }
+  const duplicateStats = await fs.lstat(duplicatePath);
+  const keeperStats = await fs.lstat(keeperPath);
+  if (!duplicateStats.isFile() || !keeperStats.isFile()) {
+    throw new Error('Only regular files can be replaced');
+  }
+  const action = state.options.duplicateAction;
+  if (action === 'hardlink' && duplicateStats.dev === keeperStats.dev && duplicateStats.ino === keeperStats.ino) {
+    return null;
+  }
+
+  const similar = state.options.matchMode === 'similar';
+  let matches;
+  try {
+    matches = similar
+      ? await looksSimilar(duplicatePath, keeperPath)
+      : duplicateStats.size === keeperStats.size && await hashFile(duplicatePath) === await hashFile(keeperPath);
+  } catch (err) {
+    err.operation = 'hash';
+    throw err;
+  }
+  if (!matches) {
+    const err = new Error(similar ? 'Image does not look similar enough to the kept copy; left in place' : 'File no longer matches the kept copy; left in place');
+    err.code = 'EMISMATCH';
+    err.operation = 'verify';
+    throw err;
+  }
+
+  let targetPath = null;
+  if (action === 'delete') {
+    await fs.rm(duplicatePath);
+    recordJournal({ type: 'delete', path: duplicatePath });
+  } else if (action === 'quarantine') {
+    targetPath = await moveToQuarantine(duplicatePath, rootFolder);
+  } else {
+    const tempPath = duplicatePath + PARTIAL_COPY_SUFFIX;
+    targetPath = action === 'symlink' ? path.relative(path.dirname(duplicatePath), keeperPath) : keeperPath;
+    try {
+      if (action === 'symlink') {
+        await fs.symlink(targetPath, tempPath);
+      } else {
+        await fs.link(keeperPath, tempPath);
+      }
+      await fs.rename(tempPath, duplicatePath);
+    } catch (err) {
+      await fs.rm(tempPath, { force: true });
+      throw err;
+    }
+    recordJournal({ type: 'link', path: duplicatePath, target: keeperPath, linkType: action });
+  }
+
+  recordAction({
+    type: 'file',
+    action: action,
+    sourcePath: duplicatePath,
+    targetPath: targetPath,
+    size: duplicateStats.size,
+    matchedPath: keeperPath,
+    matchedIn: 'source'
+  });
+  return duplicateStats.size;
+}
+
+async function removeTreeDuplicates(rootFolder, groups, options = {}) {
+  try {
+    startJob();
+    state.dryRun = false;
+    setJobOptions(options);
+    state.actions = [];
+    state.folderReport = [];
+    state.errors = [];
+    state.plannedPaths.clear();
+    state.startedAt = new Date().toISOString();
+    state.stats = createStats();
+    if (state.options.matchMode === 'similar' && !['quarantine', 'delete'].includes(state.options.duplicateAction)) {
+      throw new Error('Similar images are different files, so they can only be quarantined or deleted');
+    }
+    beginJournal('dedupe', rootFolder);
+    startPhase(state.progress, 'dedupe', groups.reduce((sum, group) => sum + group.duplicates.length, 0));
+
+    for (const group of groups) {
+      if (await shouldStop()) break;
+      for (const duplicatePath of group.duplicates) {
+        if (await shouldStop()) break;
+        state.stats.scanned++;
+        advancePhase(state.progress);
+        emitProgress(path.basename(duplicatePath));
+        try {
+          const size = await replaceDuplicate(duplicatePath, group.keeper, rootFolder);
+          if (size !== null) {
+            state.stats.duplicates++;
+            state.stats.sizeReclaimed += size;
+          }
+        } catch (err) {
+          recordError(err.operation || state.options.duplicateAction, duplicatePath, err);
+        }
+      }
+    }
+
+    await saveHashCache();
+    await endJournal();
+    buildRunReport('dedupe', null, { sourceFolders: [rootFolder], destinationFolder: rootFolder });
+    const reclaimedMB = (state.stats.sizeReclaimed / (1024 * 1024)).toFixed(2);
+    events.emit('dedupe-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      errors: state.errors,
+      message: `Replaced ${state.stats.duplicates} duplicate file(s) (${state.options.duplicateAction}), ${reclaimedMB} MB reclaimed.`
+    });
+  } catch (err) {
+    await endJournal();
+    buildRunReport('dedupe', err.message, { sourceFolders: [rootFolder], destinationFolder: rootFolder });
+    events.emit('dedupe-complete', {
+      stats: { ...state.stats },
+      error: err.message
+    });
+  }
+}
+
+async function retryError(retry, indexes) {
+  if (retry.kind === 'recopy') {
+    await copyFileAtomic(retry.sourcePath, retry.targetPath);
+    await recordFileWrite(retry.targetPath, 'update');
+    await verifyCopy(retry.sourcePath, retry.targetPath);
+    return;
+  }
+
+  if (retry.kind === 'plan') {
+    if (await pathExists(retry.targetPath)) {
+      return;
+    }
+    if (retry.linkTarget) {
+      await createSymbolicLink(retry.linkTarget, retry.targetPath, path.dirname(retry.sourcePath));
+      state.stats.copied++;
+      return;
+    }
+    const stats = await fs.stat(retry.sourcePath);
+    const expectedHash = state.options.verify ? await hashFile(retry.sourcePath) : null;
+    await makeDirectory(path.dirname(retry.targetPath), path.dirname(retry.sourcePath));
+    const transfer = await transferFile(retry.sourcePath, retry.targetPath);
+    state.stats.copied++;
+    state.stats.sizeCopied += stats.size;
+    if (state.options.verify) {
+      await verifyTarget(retry.sourcePath, retry.targetPath, expectedHash, transfer === 'move');
+    }
+    return;
+  }
+
+  if (!indexes.has(retry.indexRoot)) {
+    indexes.set(retry.indexRoot, await buildKeyIndex(retry.indexRoot));
+  }
+  const index = indexes.get(retry.indexRoot);
+  const stats = retry.linkTarget ? await fs.lstat(retry.sourcePath) : await fs.stat(retry.sourcePath);
+  const file = {
+    path: retry.sourcePath,
+    name: retry.targetName || path.basename(retry.sourcePath),
+    size: retry.linkTarget ? 0 : stats.size,
+    linkTarget: retry.linkTarget
+  };
+
+  const targetPath = await copyUniqueFile(file, retry.targetDir, [index], index, true);
+  if (targetPath) {
+    state.stats.copied++;
+    state.stats.sizeCopied += file.size;
+  } else {
+    state.stats.duplicates++;
+  }
+}
+
+async function retryFailed() {
+  try {
+    startJob();
+    state.dryRun = false;
+    state.actions = [];
+    state.folderReport = [];
+    state.plannedPaths.clear();
+    state.startedAt = new Date().toISOString();
+    state.stats = createStats();
+    beginJournal('retry', state.lastReport ? state.lastReport.destinationFolder : null);
+
+    const failed = state.errors.filter(error => error.retry);
+    state.errors = state.errors.filter(error => !error.retry);
+    state.stats.errors = state.errors.length;
+    const indexes = new Map();
+    startPhase(state.progress, 'retry', failed.length);
+
+    for (const error of failed) {
+      if (await shouldStop()) {
+        state.errors.push(error);
+        state.stats.errors++;
+        continue;
+      }
+
+      state.stats.scanned++;
+      advancePhase(state.progress);
+      emitProgress(path.basename(error.retry.sourcePath));
+
+      try {
+        await retryError(error.retry, indexes);
+      } catch (err) {
+        if (state.control.cancelled) {
+          state.errors.push(error);
+          state.stats.errors++;
+          continue;
+        }
+        recordError(err.operation || error.operation, error.path, err, error.retry);
+      }
+    }
+
+    await applyDirectoryMetadata();
+    await saveHashCache();
+    await endJournal();
+    buildRunReport('retry', null, state.lastReport);
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      duplicates: getDuplicateActions(),
+      errors: state.errors,
+      warnings: state.warnings
+    });
+  } catch (err) {
+    await endJournal();
+    buildRunReport('retry', err.message, state.lastReport);
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      error: err.message
+    });
+  }
+}
+
+async function verifyReport(report = state.lastReport, options = {}) {
+  const job = report ? { sourceFolders: report.sourceFolders, destinationFolder: report.destinationFolder } : null;
+  try {
+    if (!report || report.mode === 'dry-run') {
+      throw new Error('There is no finished run to verify.');
+    }
+    startJob();
+    state.dryRun = false;
+    // Reports from before the algorithm was recorded were always SHA-256.
+    setJobOptions({ ...options, verify: true, hashAlgorithm: report.hashAlgorithm || 'sha256' });
+    state.actions = [];
+    state.folderReport = [];
+    state.errors = [];
+    state.journalId = null;
+    state.plannedPaths.clear();
+    state.startedAt = new Date().toISOString();
+    state.stats = createStats();
+
+    const copies = report.files.filter(file => isPlannedCopy(file) && file.targetPath);
+    startPhase(state.progress, 'verify', copies.length);
+    for (const file of copies) {
+      if (await shouldStop()) break;
+
+      state.stats.scanned++;
+      advancePhase(state.progress);
+      emitProgress(path.basename(file.targetPath));
+
+      const verification = await verifyTarget(file.sourcePath, file.targetPath, file.sourceHash || null, file.transfer === 'move');
+      recordAction({ ...file, type: 'file', verification: verification });
+    }
+
+    await saveHashCache();
+    buildRunReport('verify', null, job);
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      duplicates: [],
+      errors: state.errors
+    });
+  } catch (err) {
+    buildRunReport('verify', err.message, job);
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      error: err.message
+    });
+  }
+}
+
+async function resumeCopyJob(sourceFolders, destinationFolder, extensions) {
+  if (state.phase === 'executing') {
+    return executePlan();
+  }
+  if (state.phase !== 'copying') {
+    return runCopyJob(sourceFolders, destinationFolder, extensions, {
+      ...state.options,
+      dryRun: state.dryRun,
+      journalId: state.journalId
+    });
+  }
+
+  try {
+    startJob();
+    startPhase(state.progress, 'index');
+    emitProgress('Scanning destination folder...');
+
+    const destinationMap = await buildKeyIndex(destinationFolder);
+    await prefetchHashes([...state.fileList.slice(state.currentIndex), ...[...destinationMap.values()].flat()], true);
+
+    await processFileList(destinationFolder, destinationMap);
+
+    await finishCopyJob();
+  } catch (err) {
+    await saveHashCache();
+    state.keptCopies.clear();
+    buildRunReport(state.dryRun ? 'dry-run' : 'copy', err.message);
+    events.emit('process-complete', { 
+      stats: { ...state.stats },
+      report: state.folderReport,
+      error: err.message 
+    });
+  }
+}
+
+async function getSavedJob() {
+  const saved = await loadJobState();
+  if (!saved) {
+    return null;
+  }
+  return {
+    ...saved.job,
+    phase: saved.phase,
+    currentIndex: saved.currentIndex,
+    totalFiles: (saved.fileList || []).length,
+    stats: saved.stats,
+    savedAt: saved.savedAt
+  };
+}
+
+async function resumeSavedJob() {
+  const saved = await loadJobState();
+  if (!saved) {
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: [],
+      error: 'No saved job to resume.'
+    });
+    return;
+  }
+
+  restoreJobState(saved);
+  const { sourceFolders, destinationFolder, extensions } = saved.job;
+  if (state.phase === 'copying' || state.phase === 'executing') {
+    await removePartialCopies(destinationFolder);
+  }
+  await resumeCopyJob(sourceFolders, destinationFolder, extensions);
+}
+
+async function discardSavedJob() {
+  if (!state.job) {
+    await clearJobState();
+  }
+}
+
+async function undoRecord(record, expected) {
+  if (record.type === 'create') {
+    let stats;
+    try {
+      stats = await fs.stat(record.path);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+    if (stats.size !== expected.size || stats.mtimeMs !== expected.mtimeMs) {
+      const err = new Error('File changed since it was created; left in place');
+      err.code = 'EMODIFIED';
+      throw err;
+    }
+    await fs.rm(record.path);
+    recordAction({ type: 'file', action: 'removed', sourcePath: null, targetPath: record.path, size: record.size });
+  } else if (record.type === 'symlink') {
+    let stats;
+    try {
+      stats = await fs.lstat(record.path);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+    if (!stats.isSymbolicLink() || await fs.readlink(record.path) !== record.target) {
+      const err = new Error('Link changed since it was created; left in place');
+      err.code = 'EMODIFIED';
+      throw err;
+    }
+    await fs.rm(record.path);
+    recordAction({ type: 'file', action: 'removed', sourcePath: null, targetPath: record.path, size: 0 });
+  } else if (record.type === 'move') {
+    if (!(await pathExists(record.to))) {
+      return;
+    }
+    if (await pathExists(record.from)) {
+      const err = new Error(`Cannot restore ${record.to}, the original path exists again`);
+      err.code = 'EEXIST';
+      throw err;
+    }
+    await moveDirectory(record.to, record.from);
+    state.folderReport.push({ sourcePath: record.to, destinationPath: record.from, status: 'Restored' });
+  } else if (record.type === 'link') {
+    let stats;
+    try {
+      stats = await fs.lstat(record.path);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+    const targetStats = record.linkType === 'hardlink' ? await fs.stat(record.target) : null;
+    const linked = targetStats
+      ? stats.dev === targetStats.dev && stats.ino === targetStats.ino
+      : stats.isSymbolicLink();
+    if (!linked) {
+      const err = new Error('File changed since it was replaced by a link; left in place');
+      err.code = 'EMODIFIED';
+      throw err;
+    }
+    await copyFileAtomic(record.target, record.path);
+    recordAction({ type: 'file', action: 'unlinked', sourcePath: record.target, targetPath: record.path, size: null });
+  } else if (record.type === 'trash') {
+    state.folderReport.push({ sourcePath: null, destinationPath: record.path, status: 'Not restored (moved to the system trash)' });
+  } else if (record.type === 'delete') {
+    state.folderReport.push({ sourcePath: null, destinationPath: record.path, status: 'Not restored (deleted permanently)' });
+  } else if (record.type === 'mkdir') {
+    await removeEmptyTree(record.path);
+  }
+}
+
+async function undoLastOperation() {
+  try {
+    if (['scanning', 'copying', 'executing'].includes(state.phase)) {
+      throw new Error('Finish or discard the current job before undoing.');
+    }
+    const operation = await getLastOperation();
+    if (!operation) {
+      throw new Error('There is no operation to undo.');
+    }
+
+    startJob();
+    state.dryRun = false;
+    state.actions = [];
+    state.folderReport = [];
+    state.errors = [];
+    state.journalId = null;
+    state.plannedPaths.clear();
+    state.startedAt = new Date().toISOString();
+    state.stats = createStats();
+
+    const records = await readJournal(operation.id);
+    const lastWrites = new Map();
+    startPhase(state.progress, 'undo', records.length);
+    for (const record of records.reverse()) {
+      advancePhase(state.progress);
+      const recordPath = record.type === 'move' ? record.to : record.path;
+      if (!recordPath) continue;
+      if (record.type === 'update' || record.type === 'create') {
+        if (!lastWrites.has(record.path)) {
+          lastWrites.set(record.path, record);
+        }
+        if (record.type === 'update') continue;
+      }
+
+      emitProgress(`Undoing: ${path.basename(recordPath)}`);
+      try {
+        await undoRecord(record, lastWrites.get(record.path));
+      } catch (err) {
+        recordError('undo', recordPath, err);
+      }
+    }
+
+    if (operation.destinationFolder) {
+      for (const location of ['inside', 'beside']) {
+        await removeEmptyTree(getQuarantineRoot(operation.destinationFolder, location)).catch(() => {});
+      }
+    }
+    if (state.errors.length === 0) {
+      await fs.rename(getJournalPath(operation.id), path.join(journal.dirPath, operation.id + UNDONE_JOURNAL_SUFFIX));
+    }
+
+    const saved = await loadJobState();
+    if (saved && saved.journalId === operation.id) {
+      await clearJobState();
+    }
+
+    const removed = state.actions.filter(action => action.action === 'removed').length;
+    const unlinked = state.actions.filter(action => action.action === 'unlinked').length;
+    const restored = state.folderReport.filter(folder => folder.status === 'Restored').length;
+    const notRestored = state.folderReport.length - restored;
+    buildRunReport('undo', null, { sourceFolders: [], destinationFolder: operation.destinationFolder });
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      duplicates: [],
+      errors: state.errors,
+      message: `Undid ${operation.operation}: removed ${removed} file(s), moved back ${restored} moved or quarantined item(s)` +
+        (unlinked > 0 ? `, replaced ${unlinked} link(s) with copies.` : '.') +
+        (notRestored > 0 ? ` ${notRestored} item(s) were trashed or deleted and cannot be restored here.` : '') +
+        (state.errors.length > 0 ? ` ${state.errors.length} item(s) could not be undone; the journal was kept so undo can be run again.` : '')
+    });
+  } catch (err) {
+    buildRunReport('undo', err.message, null);
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: state.folderReport,
+      error: err.message
+    });
+  }
+}
+
+async function init(options) {
+  hashCache.filePath = path.join(options.dataDir, 'hash-cache.json');
+  jobStore.filePath = path.join(options.dataDir, 'job-state.json');
+  filterPresetStore.filePath = path.join(options.dataDir, 'filter-presets.json');
+  errorLog.filePath = path.join(options.dataDir, 'errors.log');
+  journal.dirPath = path.join(options.dataDir, 'journals');
+  disposal.trashItem = options.trashItem || null;
+  await loadHashCache();
+}
+
+async function pauseProcess() {
+  state.control.pause();
+  setHashingPaused(true);
+  await saveHashCache();
+  await saveJobState();
+  await journal.pendingWrite;
+}
+
+function resumeProcess() {
+  setHashingPaused(false);
+  state.control.resume();
+}
+
+function cancelProcess() {
+  setHashingPaused(false);
+  state.control.cancel();
+}
+
+// Whether pausing now leaves a job that can be resumed later: a copy that
+// writes files, not a preview, merge, dedupe or verify run.
+function isResumableJobRunning() {
+  return Boolean(state.job) && !state.dryRun && ['scanning', 'copying', 'executing'].includes(state.phase);
+}
+
+async function executeSavedPlan() {
+  if (state.phase !== 'planned') {
+    events.emit('process-complete', {
+      stats: { ...state.stats },
+      report: [],
+      error: 'There is no previewed plan to execute.'
+    });
+    return;
+  }
+  await executePlan();
+}
+
+function getLastReport() {
+  return state.lastReport;
+}
+
+module.exports = {
+  EVENT_CHANNELS,
+  KEEP_POLICIES,
+  TRANSFER_MODES,
+  PRESERVE_FIELDS,
+  DUPLICATE_ACTIONS,
+  MATCH_MODES,
+  SYMLINK_MODES,
+  HASH_ALGORITHMS,
+  DEFAULT_HASH_CONCURRENCY,
+  DEFAULT_COPY_CONCURRENCY,
+  MAX_CONCURRENCY,
+  events,
+  init,
+  runCopyJob,
+  pauseProcess,
+  resumeProcess,
+  cancelProcess,
+  isResumableJobRunning,
+  executeSavedPlan,
+  findMergeGroups,
+  mergeFolders,
+  findTreeDuplicates,
+  removeTreeDuplicates,
+  getSavedJob,
+  resumeSavedJob,
+  discardSavedJob,
+  saveHashCache,
+  clearHashCache,
+  getLastReport,
+  retryFailed,
+  verifyReport,
+  getLastOperation,
+  undoLastOperation,
+  purgeQuarantine,
+  previewFolderGroups,
+  getFilterPresets,
+  saveFilterPreset,
+  deleteFilterPreset
+};
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+
+const EXIF_EXTENSIONS = ['jpg', 'jpeg', 'tif', 'tiff'];
+const MAX_JPEG_SEGMENTS = 64;
+const ASCII_TYPE = 2;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+
+function isTiffHeader(buffer) {
+  const order = buffer.toString('latin1', 0, 4);
+  return order === 'II*\0' || order === 'MM\0*';
+}
+
+async function findTiffStart(read) {
+  const head = await read(0, 4);
+  if (isTiffHeader(head)) {
+    return 0;
+  }
+  if (head[0] !== 0xFF || head[1] !== 0xD8) {
+    return null;
+  }
+
+  let position = 2;
+  for (let i = 0; i < MAX_JPEG_SEGMENTS; i++) {
+    const segment = await read(position, 4);
+    if (segment[0] !== 0xFF || segment[1] === 0xDA || segment[1] === 0xD9) {
+      return null;
+    }
+    const length = segment.readUInt16BE(2);
+    if (segment[1] === 0xE1 && length >= 8) {
+      const id = await read(position + 4, 6);
+      if (id.toString('latin1') === 'Exif\0\0') {
+        return position + 10;
+      }
+    }
+    position += 2 + length;
+  }
+  return null;
+}
+
+function parseExifDate(text) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  if (year === 0 || month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  return { year, month, day, hour, minute, second };
+}
+
+async function readTiffDate(read, start) {
+  const header = await read(start, 8);
+  const little = header.toString('latin1', 0, 2) === 'II';
+  const u16 = (buffer, offset) => little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const u32 = (buffer, offset) => little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  if (u16(header, 2) !== 42) {
+    return null;
+  }
+
+  const readIfd = async (offset) => {
+    const count = u16(await read(start + offset, 2), 0);
+    const entries = await read(start + offset + 2, count * 12);
+    const tags = new Map();
+    for (let i = 0; i < count; i++) {
+      const entry = entries.subarray(i * 12, i * 12 + 12);
+      tags.set(u16(entry, 0), { type: u16(entry, 2), count: u32(entry, 4), value: entry.subarray(8, 12) });
+    }
+    return tags;
+  };
+
+  const readAscii = async (field) => {
+    if (!field || field.type !== ASCII_TYPE || field.count === 0 || field.count > 64) {
+      return null;
+    }
+    const data = field.count <= 4 ? field.value.subarray(0, field.count) : await read(start + u32(field.value, 0), field.count);
+    return data.toString('latin1').replace(/\0[\s\S]*$/, '');
+  };
+
+  const ifd0 = await readIfd(u32(header, 4));
+  const exifPointer = ifd0.get(TAG_EXIF_IFD);
+  const original = exifPointer
+    ? await readAscii((await readIfd(u32(exifPointer.value, 0))).get(TAG_DATE_TIME_ORIGINAL))
+    : null;
+  return parseExifDate(original) || parseExifDate(await readAscii(ifd0.get(TAG_DATE_TIME)));
+}
+
+async function readExifDate(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const read = async (position, length) => {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, position);
+      if (bytesRead < length) {
+        throw new RangeError('Unexpected end of file');
+      }
+      return buffer;
+    };
+    const start = await findTiffStart(read);
+    return start === null ? null : await readTiffDate(read, start);
+  } catch (err) {
+    return null;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = {
+  EXIF_EXTENSIONS,
+  readExifDate
+};
@@ -0,0 +1,163 @@
+const FILTER_PRESETS = {
+  none: {
+    label: 'No extra filters',
+    filters: {}
+  },
+  junk: {
+    label: 'Skip system files, version control and dependency folders',
+    filters: {
+      exclude: ['node_modules/', '.git/', '.svn/', '.hg/', '*.tmp', '~$*'],
+      skipSystem: true
+    }
+  },
+  'small-hidden': {
+    label: 'Skip hidden files and files under 1 KB',
+    filters: { minSize: '1KB', skipHidden: true }
+  }
+};
+
+// Files and folders that operating systems and file managers create on their
+// own. Compared case-insensitively.
+const SYSTEM_NAMES = [
+  'thumbs.db', 'ehthumbs.db', 'desktop.ini', '.ds_store', '.localized', '.apdisk', 'icon\r',
+  '$recycle.bin', 'system volume information', '.spotlight-v100', '.trashes', '.fseventsd', '.temporaryitems'
+];
+
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? value : NaN;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([bkmgt])?(?:i?b)?\s*$/i.exec(String(value));
+  return match ? Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) : NaN;
+}
+
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  return date && date.getMonth() === Number(match[2]) - 1 ? date.getTime() : NaN;
+}
+
+function toPatternList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split('\n'))
+    .map(pattern => String(pattern).trim())
+    .filter(pattern => pattern);
+}
+
+function isSet(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function createFileFilters(config = {}) {
+  return {
+    include: toPatternList(config.include),
+    exclude: toPatternList(config.exclude),
+    minSize: isSet(config.minSize) ? config.minSize : null,
+    maxSize: isSet(config.maxSize) ? config.maxSize : null,
+    modifiedSince: isSet(config.modifiedSince) ? String(config.modifiedSince) : null,
+    modifiedBefore: isSet(config.modifiedBefore) ? String(config.modifiedBefore) : null,
+    skipHidden: Boolean(config.skipHidden),
+    skipSystem: Boolean(config.skipSystem)
+  };
+}
+
+// Glob syntax: * and ? stay within one path segment, ** spans folders, [abc]
+// and [!abc] match one character. Matching ignores case.
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += body[0] === '!' ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// A pattern without a slash is matched against the file or folder name, one
+// with a slash against the path relative to the scanned folder. A trailing
+// slash limits the pattern to folders.
+function compilePattern(pattern) {
+  const directoryOnly = pattern.endsWith('/');
+  const body = pattern.replace(/^\.?\//, '').replace(/\/+$/, '');
+  return {
+    regex: globToRegExp(body),
+    matchPath: body.includes('/'),
+    directoryOnly: directoryOnly
+  };
+}
+
+function matchesAny(patterns, name, relativePath, isDirectory) {
+  const normalizedPath = relativePath.split(/[\\/]+/).join('/');
+  return patterns.some(pattern => {
+    if (pattern.directoryOnly && !isDirectory) {
+      return false;
+    }
+    return pattern.regex.test(pattern.matchPath ? normalizedPath : name);
+  });
+}
+
+function compileFileFilters(config) {
+  const filters = createFileFilters(config);
+  const include = filters.include.map(compilePattern);
+  const exclude = filters.exclude.map(compilePattern);
+
+  const limit = (value, parse, label) => {
+    if (value === null) {
+      return null;
+    }
+    const parsed = parse(value);
+    if (Number.isNaN(parsed)) {
+      throw new Error(`Invalid ${label} "${value}"`);
+    }
+    return parsed;
+  };
+  const minSize = limit(filters.minSize, parseSize, 'minimum size');
+  const maxSize = limit(filters.maxSize, parseSize, 'maximum size');
+  const since = limit(filters.modifiedSince, parseDay, 'date, use YYYY-MM-DD');
+  const before = limit(filters.modifiedBefore, parseDay, 'date, use YYYY-MM-DD');
+
+  const skipName = (name) => (filters.skipHidden && name.startsWith('.'))
+    || (filters.skipSystem && SYSTEM_NAMES.includes(name.toLowerCase()));
+
+  return {
+    includesDirectory(name, relativePath) {
+      return !skipName(name) && !matchesAny(exclude, name, relativePath, true);
+    },
+    includesFileName(name, relativePath) {
+      return !skipName(name)
+        && !matchesAny(exclude, name, relativePath, false)
+        && (include.length === 0 || matchesAny(include, name, relativePath, false));
+    },
+    includesFileStats(stats) {
+      return (minSize === null || stats.size >= minSize)
+        && (maxSize === null || stats.size <= maxSize)
+        && (since === null || stats.mtimeMs >= since)
+        && (before === null || stats.mtimeMs < before);
+    }
+  };
+}
+
+module.exports = {
+  FILTER_PRESETS,
+  createFileFilters,
+  compileFileFilters
+};
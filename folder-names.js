@@ -0,0 +1,62 @@
+const FOLDER_NAME_PRESETS = {
+  underscore: {
+    label: 'Cut at the first underscore (2019_Paris → 2019)',
+    patterns: [{ pattern: '_.*$', replacement: '' }]
+  },
+  none: {
+    label: 'Keep folder names as they are',
+    patterns: []
+  },
+  'numeric-suffix': {
+    label: 'Strip a numeric suffix (Paris_2 → Paris)',
+    patterns: [{ pattern: '_\\d+$', replacement: '' }]
+  },
+  'copy-suffix': {
+    label: 'Strip copy suffixes (Paris (copy 2), Paris - Copy, Paris (1) → Paris)',
+    patterns: [
+      { pattern: ' \\(copy(?: \\d+)?\\)$', replacement: '', flags: 'i' },
+      { pattern: ' - copy(?: \\(\\d+\\))?$', replacement: '', flags: 'i' },
+      { pattern: ' \\(\\d+\\)$', replacement: '' }
+    ]
+  }
+};
+
+const DEFAULT_PRESET = 'underscore';
+
+function createFolderNameRules(config = {}) {
+  return {
+    preset: FOLDER_NAME_PRESETS[config.preset] ? config.preset : DEFAULT_PRESET,
+    patterns: (config.patterns || [])
+      .filter(rule => rule && rule.pattern)
+      .map(rule => ({ pattern: String(rule.pattern), replacement: String(rule.replacement || ''), flags: String(rule.flags || '') })),
+    caseFold: Boolean(config.caseFold)
+  };
+}
+
+function compileFolderNameRules(config) {
+  const rules = createFolderNameRules(config);
+  const steps = [...FOLDER_NAME_PRESETS[rules.preset].patterns, ...rules.patterns].map(rule => {
+    try {
+      return { regex: new RegExp(rule.pattern, rule.flags), replacement: rule.replacement };
+    } catch (err) {
+      throw new Error(`Invalid folder name pattern "${rule.pattern}": ${err.message}`);
+    }
+  });
+
+  return (folderName) => {
+    let name = folderName;
+    for (const step of steps) {
+      name = name.replace(step.regex, step.replacement);
+    }
+    if (!name || name === '.' || name === '..' || /[\\/]/.test(name)) {
+      name = folderName;
+    }
+    return rules.caseFold ? name.toLowerCase() : name;
+  };
+}
+
+module.exports = {
+  FOLDER_NAME_PRESETS,
+  createFolderNameRules,
+  compileFolderNameRules
+};
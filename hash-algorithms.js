@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+const { createXxHash64 } = require('./xxhash64');
+
+// xxhash64 is not collision-resistant: fine for finding duplicates among
+// one's own files, not for proving that a copy was never tampered with.
+const HASH_ALGORITHMS = ['sha256', 'sha512', 'xxhash64'];
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+function createHasher(algorithm) {
+  if (algorithm === 'xxhash64') {
+    return createXxHash64();
+  }
+  return crypto.createHash(algorithm);
+}
+
+module.exports = {
+  HASH_ALGORITHMS,
+  DEFAULT_HASH_ALGORITHM,
+  createHasher
+};
@@ -0,0 +1,170 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'hash-worker.js');
+const DEFAULT_HASH_CONCURRENCY = Math.max(1, Math.min(4, os.cpus().length));
+
+// Hashing runs on worker threads so reading and digesting large files never
+// blocks the main process. Workers are started on demand up to pool.size and
+// only keep the process alive while they have work.
+const pool = {
+  size: DEFAULT_HASH_CONCURRENCY,
+  workers: new Set(),
+  idle: [],
+  queue: [],
+  nextId: 1,
+  paused: false,
+  onProgress: null
+};
+
+function abortError() {
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+function startWorker() {
+  const worker = new Worker(WORKER_PATH);
+  worker.task = null;
+  worker.on('message', (message) => {
+    if (message.progress && pool.onProgress) {
+      pool.onProgress(message.progress);
+    }
+    if (!message.hash && !message.error) {
+      return;
+    }
+    const task = worker.task;
+    worker.task = null;
+    if (message.error) {
+      const err = new Error(message.error.message);
+      err.name = message.error.name;
+      err.code = message.error.code;
+      task.reject(err);
+    } else {
+      task.resolve(message.image || message.hash);
+    }
+    releaseWorker(worker);
+  });
+  worker.on('error', (err) => {
+    if (worker.task) {
+      worker.task.reject(err);
+      worker.task = null;
+    }
+  });
+  worker.on('exit', () => {
+    pool.workers.delete(worker);
+    pool.idle = pool.idle.filter(idle => idle !== worker);
+    if (worker.task) {
+      worker.task.reject(new Error('Hash worker stopped unexpectedly'));
+      worker.task = null;
+    }
+    dispatch();
+  });
+  pool.workers.add(worker);
+  return worker;
+}
+
+function releaseWorker(worker) {
+  if (pool.workers.size > pool.size) {
+    pool.workers.delete(worker);
+    worker.terminate();
+    return;
+  }
+  worker.unref();
+  pool.idle.push(worker);
+  dispatch();
+}
+
+function dispatch() {
+  while (pool.queue.length > 0 && !pool.paused) {
+    let worker = pool.idle.pop();
+    if (!worker && pool.workers.size < pool.size) {
+      worker = startWorker();
+    }
+    if (!worker) {
+      return;
+    }
+    const task = pool.queue.shift();
+    task.worker = worker;
+    worker.task = task;
+    worker.ref();
+    worker.postMessage(task.message);
+  }
+}
+
+function setHashConcurrency(size) {
+  pool.size = Math.max(1, size);
+  while (pool.workers.size > pool.size && pool.idle.length > 0) {
+    const worker = pool.idle.pop();
+    pool.workers.delete(worker);
+    worker.terminate();
+  }
+  dispatch();
+}
+
+// While paused no new task starts and workers stop reading their streams.
+function setHashingPaused(paused) {
+  pool.paused = paused;
+  for (const worker of pool.workers) {
+    worker.postMessage({ type: paused ? 'pause' : 'resume' });
+  }
+  dispatch();
+}
+
+// listener is called with the number of bytes read since the last call.
+function setHashProgressListener(listener) {
+  pool.onProgress = listener;
+}
+
+// kind is 'full', 'partial' or 'image'; partial tasks also need the file size
+// and the number of bytes to read from each end. Image tasks resolve with the
+// perceptual hash and dimensions from computeImageHash instead of a digest.
+// Aborting the signal drops a queued task and stops the stream of a running one.
+function runHashTask(kind, filePath, algorithm, size = 0, bytes = 0, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const message = { type: 'hash', id: pool.nextId++, kind: kind, path: filePath, algorithm: algorithm, size: size, bytes: bytes };
+    const task = { message: message, worker: null, resolve: resolve, reject: reject };
+    if (signal) {
+      const onAbort = () => {
+        if (task.worker) {
+          task.worker.postMessage({ type: 'abort', id: message.id });
+        } else {
+          pool.queue = pool.queue.filter(queued => queued !== task);
+          reject(abortError());
+        }
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      task.resolve = (hash) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(hash);
+      };
+      task.reject = (err) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      };
+    }
+    pool.queue.push(task);
+    dispatch();
+  });
+}
+
+async function closeHashPool() {
+  const workers = [...pool.workers];
+  pool.workers.clear();
+  pool.idle = [];
+  await Promise.all(workers.map(worker => worker.terminate()));
+}
+
+module.exports = {
+  DEFAULT_HASH_CONCURRENCY,
+  setHashConcurrency,
+  setHashingPaused,
+  setHashProgressListener,
+  runHashTask,
+  closeHashPool
+};
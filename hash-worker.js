@@ -0,0 +1,97 @@
+const fs = require('fs');
+const { parentPort } = require('worker_threads');
+const { createHasher } = require('./hash-algorithms');
+const { computeImageHash } = require('./image-hash');
+
+// Streams still being read, by task id, so they can be paused or aborted.
+const active = new Map();
+let paused = false;
+// Bytes read are reported in batches rather than per chunk.
+const PROGRESS_BYTES = 4 * 1024 * 1024;
+
+function abortError() {
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+function hashWhole(id, filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = createHasher(algorithm);
+    const stream = fs.createReadStream(filePath);
+    let unreported = 0;
+    active.set(id, stream);
+    stream.on('data', (data) => {
+      hash.update(data);
+      unreported += data.length;
+      if (unreported >= PROGRESS_BYTES) {
+        parentPort.postMessage({ id: id, progress: unreported });
+        unreported = 0;
+      }
+    });
+    stream.on('end', () => resolve({ hash: hash.digest('hex'), read: unreported }));
+    stream.on('error', reject);
+    stream.on('close', () => active.delete(id));
+    if (paused) {
+      stream.pause();
+    }
+  });
+}
+
+// Head and tail of the file, for telling apart same-size files cheaply.
+async function hashEnds(filePath, algorithm, size, bytes) {
+  const hash = createHasher(algorithm);
+  const buffer = Buffer.alloc(bytes);
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const head = await handle.read(buffer, 0, bytes, 0);
+    hash.update(buffer.subarray(0, head.bytesRead));
+    const tail = await handle.read(buffer, 0, bytes, size - bytes);
+    hash.update(buffer.subarray(0, tail.bytesRead));
+    return { hash: hash.digest('hex'), read: head.bytesRead + tail.bytesRead };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Decoding an image for its perceptual hash is as CPU-bound as digesting it.
+async function hashImage(filePath, size) {
+  const image = await computeImageHash(filePath);
+  return { hash: image.hash, image: image, read: size };
+}
+
+async function runTask(task) {
+  try {
+    let result;
+    if (task.kind === 'partial') {
+      result = await hashEnds(task.path, task.algorithm, task.size, task.bytes);
+    } else if (task.kind === 'image') {
+      result = await hashImage(task.path, task.size);
+    } else {
+      result = await hashWhole(task.id, task.path, task.algorithm);
+    }
+    parentPort.postMessage({ id: task.id, hash: result.hash, image: result.image, progress: result.read });
+  } catch (err) {
+    parentPort.postMessage({ id: task.id, error: { name: err.name, message: err.message, code: err.code || null } });
+  }
+}
+
+parentPort.on('message', (message) => {
+  if (message.type === 'pause' || message.type === 'resume') {
+    paused = message.type === 'pause';
+    for (const stream of active.values()) {
+      if (paused) {
+        stream.pause();
+      } else {
+        stream.resume();
+      }
+    }
+  } else if (message.type === 'abort') {
+    const stream = active.get(message.id);
+    if (stream) {
+      stream.destroy(abortError());
+    }
+  } else if (message.type === 'hash') {
+    runTask(message);
+  }
+});
@@ -0,0 +1,1543 @@
+const zlib = require('zlib');
+const { DC_QUANT, AC_QUANT, BMODE_PROBS, COEFF_PROBS, COEFF_UPDATE_PROBS } = require('./vp8-tables');
+
+// Every decoder returns the image size plus a greyscale version of it. JPEGs
+// are reduced to one value per 8x8 block (the DC coefficient), which is all a
+// perceptual hash needs and avoids a full IDCT. Lossy WebPs are decoded
+// without the loop filter, which only softens block edges, and without
+// their colour planes.
+
+function unsupported(message) {
+  const err = new Error(message);
+  err.code = 'ENOTSUP';
+  return err;
+}
+
+function corrupt(message) {
+  const err = new Error(message);
+  err.code = 'EBADIMAGE';
+  return err;
+}
+
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// Transparent pixels are flattened onto white, the usual background when an
+// image is re-saved in a format without alpha.
+function flatten(value, alpha) {
+  return value * alpha / 255 + 255 * (1 - alpha / 255);
+}
+
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = index - code;
+    code += counts[length - 1];
+    index += counts[length - 1];
+    if (counts[length - 1] > 0) {
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+  return { maxCode: maxCode, valueOffset: valueOffset, symbols: Uint8Array.from(symbols) };
+}
+
+function createBitReader(buffer, start) {
+  let position = start;
+  let bits = 0;
+  let bitCount = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      if (position >= buffer.length) {
+        throw corrupt('JPEG data ends early');
+      }
+      const byte = buffer[position++];
+      if (byte === 0xFF) {
+        const next = buffer[position];
+        if (next === 0x00) {
+          position++;
+        } else if (next < 0xD0 || next > 0xD7) {
+          throw corrupt('Unexpected JPEG marker inside scan data');
+        }
+      }
+      bits = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bits >> bitCount) & 1;
+  };
+
+  return {
+    decode(table) {
+      if (!table) {
+        throw corrupt('JPEG scan refers to a missing Huffman table');
+      }
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | readBit();
+        if (code <= table.maxCode[length]) {
+          return table.symbols[code + table.valueOffset[length]];
+        }
+      }
+      throw corrupt('Invalid JPEG Huffman code');
+    },
+    receive(length) {
+      let value = 0;
+      for (let i = 0; i < length; i++) {
+        value = (value << 1) | readBit();
+      }
+      return value;
+    },
+    restart() {
+      bitCount = 0;
+      while (position < buffer.length - 1 && !(buffer[position] === 0xFF && buffer[position + 1] >= 0xD0 && buffer[position + 1] <= 0xD7)) {
+        position++;
+      }
+      position += 2;
+    }
+  };
+}
+
+function extend(value, length) {
+  return length === 0 ? 0 : value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+}
+
+function findNextMarker(buffer, position) {
+  while (position < buffer.length - 1) {
+    if (buffer[position] === 0xFF && buffer[position + 1] !== 0x00 && (buffer[position + 1] < 0xD0 || buffer[position + 1] > 0xD7)) {
+      return position;
+    }
+    position++;
+  }
+  return buffer.length;
+}
+
+function decodeJpegScan(buffer, position, frame, scan, tables) {
+  const luma = frame.components[0];
+  const reader = createBitReader(buffer, position);
+  const scanComponents = scan.components;
+  const blocksWide = Math.ceil(Math.ceil(frame.width * luma.h / frame.maxH) / 8);
+  const blocksHigh = Math.ceil(Math.ceil(frame.height * luma.v / frame.maxV) / 8);
+  const dc = new Float32Array(blocksWide * blocksHigh);
+  const predictors = new Array(scanComponents.length).fill(0);
+  const dcOnly = frame.progressive;
+
+  const decodeBlock = (componentIndex, row, column) => {
+    const component = scanComponents[componentIndex];
+    const length = reader.decode(tables.dc[component.dcTable]);
+    predictors[componentIndex] += extend(reader.receive(length), length);
+    if (component.id === luma.id && row < blocksHigh && column < blocksWide) {
+      dc[row * blocksWide + column] = predictors[componentIndex] << scan.successiveLow;
+    }
+    if (dcOnly) {
+      return;
+    }
+    for (let k = 1; k < 64;) {
+      const symbol = reader.decode(tables.ac[component.acTable]);
+      const run = symbol >> 4;
+      const size = symbol & 15;
+      if (size === 0) {
+        if (run !== 15) break;
+        k += 16;
+      } else {
+        reader.receive(size);
+        k += run + 1;
+      }
+    }
+  };
+
+  let mcusWide;
+  let mcusHigh;
+  if (scanComponents.length === 1) {
+    mcusWide = Math.ceil(Math.ceil(frame.width * scanComponents[0].h / frame.maxH) / 8);
+    mcusHigh = Math.ceil(Math.ceil(frame.height * scanComponents[0].v / frame.maxV) / 8);
+  } else {
+    mcusWide = Math.ceil(frame.width / (8 * frame.maxH));
+    mcusHigh = Math.ceil(frame.height / (8 * frame.maxV));
+  }
+
+  let decoded = 0;
+  for (let mcuRow = 0; mcuRow < mcusHigh; mcuRow++) {
+    for (let mcuColumn = 0; mcuColumn < mcusWide; mcuColumn++) {
+      if (tables.restartInterval && decoded > 0 && decoded % tables.restartInterval === 0) {
+        reader.restart();
+        predictors.fill(0);
+      }
+      if (scanComponents.length === 1) {
+        decodeBlock(0, mcuRow, mcuColumn);
+      } else {
+        scanComponents.forEach((component, componentIndex) => {
+          for (let y = 0; y < component.v; y++) {
+            for (let x = 0; x < component.h; x++) {
+              decodeBlock(componentIndex, mcuRow * component.v + y, mcuColumn * component.h + x);
+            }
+          }
+        });
+      }
+      decoded++;
+    }
+  }
+
+  const quantizer = tables.quantization[luma.quantizationTable];
+  if (quantizer === undefined) {
+    throw corrupt('JPEG is missing a quantization table');
+  }
+  const gray = new Uint8Array(dc.length);
+  for (let i = 0; i < dc.length; i++) {
+    gray[i] = Math.max(0, Math.min(255, Math.round(dc[i] * quantizer / 8 + 128)));
+  }
+  return { width: frame.width, height: frame.height, gray: gray, grayWidth: blocksWide, grayHeight: blocksHigh };
+}
+
+function decodeJpeg(buffer) {
+  const tables = { dc: [], ac: [], quantization: [], restartInterval: 0 };
+  let frame = null;
+  let position = 2;
+
+  while (position < buffer.length - 4) {
+    if (buffer[position] !== 0xFF) {
+      throw corrupt('Invalid JPEG marker');
+    }
+    const marker = buffer[position + 1];
+    if (marker === 0xFF) {
+      position++;
+      continue;
+    }
+    if (marker === 0xD9) break;
+    const length = buffer.readUInt16BE(position + 2);
+    const segment = buffer.subarray(position + 4, position + 2 + length);
+    position += 2 + length;
+
+    if (marker === 0xDB) {
+      for (let offset = 0; offset < segment.length;) {
+        const precision = segment[offset] >> 4;
+        tables.quantization[segment[offset] & 15] = precision ? segment.readUInt16BE(offset + 1) : segment[offset + 1];
+        offset += 1 + (precision ? 128 : 64);
+      }
+    } else if (marker === 0xC4) {
+      for (let offset = 0; offset < segment.length;) {
+        const counts = segment.subarray(offset + 1, offset + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const table = buildHuffmanTable(counts, segment.subarray(offset + 17, offset + 17 + total));
+        (segment[offset] >> 4 ? tables.ac : tables.dc)[segment[offset] & 15] = table;
+        offset += 17 + total;
+      }
+    } else if (marker === 0xDD) {
+      tables.restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+      const components = [];
+      for (let i = 0; i < segment[5]; i++) {
+        components.push({
+          id: segment[6 + i * 3],
+          h: segment[7 + i * 3] >> 4,
+          v: segment[7 + i * 3] & 15,
+          quantizationTable: segment[8 + i * 3]
+        });
+      }
+      frame = {
+        progressive: marker === 0xC2,
+        height: segment.readUInt16BE(1),
+        width: segment.readUInt16BE(3),
+        components: components,
+        maxH: Math.max(...components.map(component => component.h)),
+        maxV: Math.max(...components.map(component => component.v))
+      };
+      if (!frame.width || !frame.height || components.length === 0) {
+        throw corrupt('Invalid JPEG frame header');
+      }
+    } else if (marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      throw unsupported('Lossless and arithmetic-coded JPEGs are not supported');
+    } else if (marker === 0xDA) {
+      if (!frame) {
+        throw corrupt('JPEG scan before frame header');
+      }
+      const scan = { components: [], successiveLow: segment[3 + segment[0] * 2] & 15 };
+      for (let i = 0; i < segment[0]; i++) {
+        const component = frame.components.find(candidate => candidate.id === segment[1 + i * 2]);
+        if (!component) {
+          throw corrupt('JPEG scan refers to an unknown component');
+        }
+        scan.components.push({ ...component, dcTable: segment[2 + i * 2] >> 4, acTable: segment[2 + i * 2] & 15 });
+      }
+      const spectralStart = segment[1 + segment[0] * 2];
+      const successiveHigh = segment[3 + segment[0] * 2] >> 4;
+      const firstDcScan = !frame.progressive || (spectralStart === 0 && successiveHigh === 0);
+      if (firstDcScan && scan.components.some(component => component.id === frame.components[0].id)) {
+        return decodeJpegScan(buffer, position, frame, scan, tables);
+      }
+      position = findNextMarker(buffer, position);
+    }
+  }
+  throw corrupt('JPEG has no image data');
+}
+
+function paethPredictor(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function unfilterScanlines(data, offset, rowBytes, rows, bytesPerPixel) {
+  const output = Buffer.alloc(rowBytes * rows);
+  for (let y = 0; y < rows; y++) {
+    const filter = data[offset];
+    const row = output.subarray(y * rowBytes, (y + 1) * rowBytes);
+    const previous = y > 0 ? output.subarray((y - 1) * rowBytes, y * rowBytes) : null;
+    for (let x = 0; x < rowBytes; x++) {
+      const raw = data[offset + 1 + x];
+      const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+      const up = previous ? previous[x] : 0;
+      const upLeft = previous && x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      let value;
+      if (filter === 0) value = raw;
+      else if (filter === 1) value = raw + left;
+      else if (filter === 2) value = raw + up;
+      else if (filter === 3) value = raw + ((left + up) >> 1);
+      else if (filter === 4) value = raw + paethPredictor(left, up, upLeft);
+      else throw corrupt('Invalid PNG filter type');
+      row[x] = value & 0xFF;
+    }
+    offset += 1 + rowBytes;
+  }
+  return { pixels: output, offset: offset };
+}
+
+const ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function decodePng(buffer) {
+  let header = null;
+  let palette = null;
+  let paletteAlpha = null;
+  const chunks = [];
+  for (let position = 8; position + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    const data = buffer.subarray(position + 8, position + 8 + length);
+    position += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlaced: data[12] === 1
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      paletteAlpha = data;
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (!header || !PNG_CHANNELS[header.colorType] || chunks.length === 0) {
+    throw corrupt('Invalid PNG header');
+  }
+  if (header.colorType === 3 && !palette) {
+    throw corrupt('PNG palette is missing');
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = PNG_CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxValue = (1 << bitDepth) - 1;
+  const data = zlib.inflateSync(Buffer.concat(chunks));
+  const gray = new Uint8Array(width * height);
+
+  const sample = (row, index) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return row[index * 2];
+    const bit = index * bitDepth;
+    const value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return colorType === 3 ? value : Math.round(value * 255 / maxValue);
+  };
+  const pixelValue = (row, x) => {
+    const base = x * channels;
+    if (colorType === 3) {
+      const index = sample(row, x);
+      const alpha = paletteAlpha && index < paletteAlpha.length ? paletteAlpha[index] : 255;
+      return flatten(luminance(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]), alpha);
+    }
+    const value = channels >= 3 ? luminance(sample(row, base), sample(row, base + 1), sample(row, base + 2)) : sample(row, base);
+    return channels === 2 || channels === 4 ? flatten(value, sample(row, base + channels - 1)) : value;
+  };
+
+  const passes = header.interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+    const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+    if (offset + (rowBytes + 1) * passHeight > data.length) {
+      throw corrupt('PNG data ends early');
+    }
+    const result = unfilterScanlines(data, offset, rowBytes, passHeight, bytesPerPixel);
+    offset = result.offset;
+    for (let y = 0; y < passHeight; y++) {
+      const row = result.pixels.subarray(y * rowBytes, (y + 1) * rowBytes);
+      for (let x = 0; x < passWidth; x++) {
+        gray[(startY + y * stepY) * width + startX + x * stepX] = Math.round(pixelValue(row, x));
+      }
+    }
+  }
+  return { width: width, height: height, gray: gray, grayWidth: width, grayHeight: height };
+}
+
+function decodeLzw(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const firstByte = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  const output = new Uint8Array(pixelCount);
+  for (let code = 0; code < clearCode; code++) {
+    suffix[code] = code;
+    firstByte[code] = code;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let bits = 0;
+  let bitCount = 0;
+  let written = 0;
+
+  for (let position = 0; position < data.length && written < pixelCount;) {
+    while (bitCount < codeSize && position < data.length) {
+      bits |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    if (bitCount < codeSize) break;
+    const code = bits & ((1 << codeSize) - 1);
+    bits >>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    let current = code;
+    let depth = 0;
+    if (previous === -1) {
+      stack[depth++] = suffix[code];
+    } else {
+      if (code > nextCode) {
+        throw corrupt('Invalid GIF LZW code');
+      }
+      if (code === nextCode) {
+        stack[depth++] = firstByte[previous];
+        current = previous;
+      }
+      while (current >= clearCode) {
+        stack[depth++] = suffix[current];
+        current = prefix[current];
+      }
+      stack[depth++] = current;
+      if (nextCode < 4096) {
+        prefix[nextCode] = previous;
+        suffix[nextCode] = current;
+        firstByte[nextCode] = firstByte[previous];
+        nextCode++;
+        if (nextCode === 1 << codeSize && codeSize < 12) {
+          codeSize++;
+        }
+      }
+    }
+    while (depth > 0 && written < pixelCount) {
+      output[written++] = stack[--depth];
+    }
+    previous = code;
+  }
+  return output;
+}
+
+function decodeGif(buffer) {
+  const flags = buffer[10];
+  let position = 13;
+  let palette = null;
+  if (flags & 0x80) {
+    palette = buffer.subarray(position, position + 3 * (2 << (flags & 7)));
+    position += palette.length;
+  }
+
+  let transparentIndex = -1;
+  while (position < buffer.length) {
+    const block = buffer[position++];
+    if (block === 0x21) {
+      if (buffer[position] === 0xF9 && buffer[position + 2] & 1) {
+        transparentIndex = buffer[position + 5];
+      }
+      position++;
+      while (position < buffer.length && buffer[position] !== 0) {
+        position += buffer[position] + 1;
+      }
+      position++;
+    } else if (block === 0x2C) {
+      const width = buffer.readUInt16LE(position + 4);
+      const height = buffer.readUInt16LE(position + 6);
+      const imageFlags = buffer[position + 8];
+      position += 9;
+      if (imageFlags & 0x80) {
+        palette = buffer.subarray(position, position + 3 * (2 << (imageFlags & 7)));
+        position += palette.length;
+      }
+      if (!palette || !width || !height) {
+        throw corrupt('GIF has no colour table');
+      }
+      const minCodeSize = buffer[position++];
+      const parts = [];
+      while (position < buffer.length && buffer[position] !== 0) {
+        parts.push(buffer.subarray(position + 1, position + 1 + buffer[position]));
+        position += buffer[position] + 1;
+      }
+      const indexes = decodeLzw(Buffer.concat(parts), minCodeSize, width * height);
+      const rows = [];
+      if (imageFlags & 0x40) {
+        for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+          for (let y = start; y < height; y += step) rows.push(y);
+        }
+      } else {
+        for (let y = 0; y < height; y++) rows.push(y);
+      }
+      const gray = new Uint8Array(width * height);
+      rows.forEach((y, rowIndex) => {
+        for (let x = 0; x < width; x++) {
+          const index = indexes[rowIndex * width + x];
+          gray[y * width + x] = index === transparentIndex
+            ? 255
+            : Math.round(luminance(palette[index * 3] || 0, palette[index * 3 + 1] || 0, palette[index * 3 + 2] || 0));
+        }
+      });
+      return { width: width, height: height, gray: gray, grayWidth: width, grayHeight: height };
+    } else {
+      break;
+    }
+  }
+  throw corrupt('GIF has no image data');
+}
+
+function maskShift(mask) {
+  let shift = 0;
+  while (mask && !(mask & 1)) {
+    mask >>>= 1;
+    shift++;
+  }
+  return { shift: shift, max: mask || 1 };
+}
+
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const core = headerSize === 12;
+  const width = core ? buffer.readUInt16LE(18) : buffer.readInt32LE(18);
+  const rawHeight = core ? buffer.readInt16LE(20) : buffer.readInt32LE(22);
+  const bitCount = core ? buffer.readUInt16LE(24) : buffer.readUInt16LE(28);
+  const compression = core ? 0 : buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  if (width <= 0 || height === 0) {
+    throw corrupt('Invalid BMP header');
+  }
+  if (compression !== 0 && compression !== 3) {
+    throw unsupported('Compressed BMPs are not supported');
+  }
+
+  const paletteStart = 14 + headerSize;
+  const paletteEntry = core ? 3 : 4;
+  let masks = null;
+  if (compression === 3) {
+    masks = [buffer.readUInt32LE(54), buffer.readUInt32LE(58), buffer.readUInt32LE(62)].map(maskShift);
+  } else if (bitCount === 16) {
+    masks = [0x7C00, 0x03E0, 0x001F].map(maskShift);
+  }
+  const maskValue = (value, mask) => ((value >>> mask.shift) & mask.max) * 255 / mask.max;
+
+  const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+  if (dataOffset + stride * height > buffer.length) {
+    throw corrupt('BMP data ends early');
+  }
+  const gray = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (rawHeight > 0 ? height - 1 - y : y) * stride;
+    for (let x = 0; x < width; x++) {
+      let value;
+      if (bitCount <= 8) {
+        const bit = x * bitCount;
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+        const entry = paletteStart + index * paletteEntry;
+        value = luminance(buffer[entry + 2], buffer[entry + 1], buffer[entry]);
+      } else if (masks) {
+        const pixel = bitCount === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+        value = luminance(maskValue(pixel, masks[0]), maskValue(pixel, masks[1]), maskValue(pixel, masks[2]));
+      } else if (bitCount === 24 || bitCount === 32) {
+        const offset = row + x * (bitCount >> 3);
+        value = luminance(buffer[offset + 2], buffer[offset + 1], buffer[offset]);
+      } else {
+        throw unsupported(`${bitCount}-bit BMPs are not supported`);
+      }
+      gray[y * width + x] = Math.round(value);
+    }
+  }
+  return { width: width, height: height, gray: gray, grayWidth: width, grayHeight: height };
+}
+
+function clampByte(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+// VP8 (lossy WebP) prediction modes, numbered as in BMODE_PROBS. Whole
+// macroblocks use the first four.
+const VP8_MODES = { DC: 0, TM: 1, VE: 2, HE: 3, RD: 4, VR: 5, LD: 6, VL: 7, HD: 8, HU: 9 };
+// Leaves are negated modes.
+const VP8_BMODE_TREE = [0, 1, -1, 2, -2, 3, 4, 6, -3, 5, -4, -5, -6, 7, -7, 8, -8, -9];
+const VP8_BANDS = [0, 1, 2, 3, 6, 4, 5, 6, 6, 6, 6, 6, 6, 6, 6, 7, 0];
+const VP8_ZIGZAG = [0, 1, 4, 8, 5, 2, 3, 6, 9, 12, 13, 10, 7, 11, 14, 15];
+const VP8_EXTRA_PROBS = [[173, 148, 140], [176, 155, 140, 135], [180, 157, 141, 134, 130], [254, 254, 243, 230, 196, 177, 153, 140, 133, 130, 129]];
+
+// Macroblocks are predicted and reconstructed in a scratch area holding the
+// pixel row above, the column to the left and four pixels above-right.
+const WORK_STRIDE = 32;
+const WORK_ORIGIN = WORK_STRIDE + 1;
+
+function createBoolDecoder(buffer, start, end) {
+  let position = start;
+  let bitCount = 0;
+  let range = 255;
+  const nextByte = () => (position < end ? buffer[position++] : 0);
+  let value = (nextByte() << 8) | nextByte();
+
+  const readBool = probability => {
+    const split = 1 + (((range - 1) * probability) >> 8);
+    let bit = 0;
+    if (value >= split << 8) {
+      bit = 1;
+      range -= split;
+      value -= split << 8;
+    } else {
+      range = split;
+    }
+    while (range < 128) {
+      value <<= 1;
+      range <<= 1;
+      if (++bitCount === 8) {
+        bitCount = 0;
+        value |= nextByte();
+      }
+    }
+    return bit;
+  };
+  const readLiteral = bits => {
+    let result = 0;
+    for (let i = 0; i < bits; i++) {
+      result = (result << 1) | readBool(128);
+    }
+    return result;
+  };
+
+  return {
+    readBool: readBool,
+    readLiteral: readLiteral,
+    readOptionalSigned(bits) {
+      if (!readLiteral(1)) {
+        return 0;
+      }
+      const magnitude = readLiteral(bits);
+      return readLiteral(1) ? -magnitude : magnitude;
+    }
+  };
+}
+
+function readLargeCoefficient(decoder, probs) {
+  if (!decoder.readBool(probs[3])) {
+    return decoder.readBool(probs[4]) ? 3 + decoder.readBool(probs[5]) : 2;
+  }
+  if (!decoder.readBool(probs[6])) {
+    return decoder.readBool(probs[7]) ? 7 + 2 * decoder.readBool(165) + decoder.readBool(145) : 5 + decoder.readBool(159);
+  }
+  const high = decoder.readBool(probs[8]);
+  const category = 2 * high + decoder.readBool(probs[9 + high]);
+  let value = 0;
+  for (const probability of VP8_EXTRA_PROBS[category]) {
+    value = 2 * value + decoder.readBool(probability);
+  }
+  return value + 3 + (8 << category);
+}
+
+// Reads one 4x4 block's coefficients, dequantized and in raster order, into
+// out[offset..offset + 15]. Returns 0 for an empty block.
+function readCoefficients(decoder, probs, context, quantizer, first, out, offset) {
+  let p = probs[VP8_BANDS[first]][context];
+  if (!decoder.readBool(p[0])) {
+    return 0;
+  }
+  for (let n = first + 1; ; n++) {
+    if (!decoder.readBool(p[1])) {
+      p = probs[VP8_BANDS[n]][0];
+    } else {
+      let value = 1;
+      if (!decoder.readBool(p[2])) {
+        p = probs[VP8_BANDS[n]][1];
+      } else {
+        value = readLargeCoefficient(decoder, p);
+        p = probs[VP8_BANDS[n]][2];
+      }
+      const index = VP8_ZIGZAG[n - 1];
+      out[offset + index] = (decoder.readBool(128) ? -value : value) * quantizer[index > 0 ? 1 : 0];
+      if (n === 16 || !decoder.readBool(p[0])) {
+        return n;
+      }
+    }
+    if (n === 16) {
+      return 16;
+    }
+  }
+}
+
+// Spreads the second-order (Y2) block over the DC of the 16 luma blocks.
+function inverseWalsh(input, coefficients) {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const a0 = input[i] + input[12 + i];
+    const a1 = input[4 + i] + input[8 + i];
+    const a2 = input[4 + i] - input[8 + i];
+    const a3 = input[i] - input[12 + i];
+    tmp[i] = a0 + a1;
+    tmp[8 + i] = a0 - a1;
+    tmp[4 + i] = a3 + a2;
+    tmp[12 + i] = a3 - a2;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i * 4] + 3;
+    const a0 = dc + tmp[i * 4 + 3];
+    const a1 = tmp[i * 4 + 1] + tmp[i * 4 + 2];
+    const a2 = tmp[i * 4 + 1] - tmp[i * 4 + 2];
+    const a3 = dc - tmp[i * 4 + 3];
+    coefficients[i * 64] = (a0 + a1) >> 3;
+    coefficients[i * 64 + 16] = (a3 + a2) >> 3;
+    coefficients[i * 64 + 32] = (a0 - a1) >> 3;
+    coefficients[i * 64 + 48] = (a3 - a2) >> 3;
+  }
+}
+
+const idctMul1 = value => ((value * 20091) >> 16) + value;
+const idctMul2 = value => (value * 35468) >> 16;
+
+// Adds the inverse DCT of one block to the prediction at work[at].
+function addInverseDct(coefficients, offset, work, at) {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const input = offset + i;
+    const a = coefficients[input] + coefficients[input + 8];
+    const b = coefficients[input] - coefficients[input + 8];
+    const c = idctMul2(coefficients[input + 4]) - idctMul1(coefficients[input + 12]);
+    const d = idctMul1(coefficients[input + 4]) + idctMul2(coefficients[input + 12]);
+    tmp[i * 4] = a + d;
+    tmp[i * 4 + 1] = b + c;
+    tmp[i * 4 + 2] = b - c;
+    tmp[i * 4 + 3] = a - d;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i] + 4;
+    const a = dc + tmp[i + 8];
+    const b = dc - tmp[i + 8];
+    const c = idctMul2(tmp[i + 4]) - idctMul1(tmp[i + 12]);
+    const d = idctMul1(tmp[i + 4]) + idctMul2(tmp[i + 12]);
+    const row = at + i * WORK_STRIDE;
+    work[row] = clampByte(work[row] + ((a + d) >> 3));
+    work[row + 1] = clampByte(work[row + 1] + ((b + c) >> 3));
+    work[row + 2] = clampByte(work[row + 2] + ((b - c) >> 3));
+    work[row + 3] = clampByte(work[row + 3] + ((a - d) >> 3));
+  }
+}
+
+function predictMacroblock(work, mode, hasTop, hasLeft) {
+  let dc = 128;
+  if (mode === VP8_MODES.DC && (hasTop || hasLeft)) {
+    let sum = 0;
+    for (let i = 0; i < 16; i++) {
+      sum += (hasTop ? work[WORK_ORIGIN - WORK_STRIDE + i] : 0) + (hasLeft ? work[WORK_ORIGIN + i * WORK_STRIDE - 1] : 0);
+    }
+    const shift = hasTop && hasLeft ? 5 : 4;
+    dc = (sum + (1 << (shift - 1))) >> shift;
+  }
+  const topLeft = work[WORK_ORIGIN - WORK_STRIDE - 1];
+  for (let y = 0; y < 16; y++) {
+    const row = WORK_ORIGIN + y * WORK_STRIDE;
+    const left = work[row - 1];
+    for (let x = 0; x < 16; x++) {
+      const top = work[WORK_ORIGIN - WORK_STRIDE + x];
+      if (mode === VP8_MODES.DC) work[row + x] = dc;
+      else if (mode === VP8_MODES.TM) work[row + x] = clampByte(left + top - topLeft);
+      else if (mode === VP8_MODES.VE) work[row + x] = top;
+      else work[row + x] = left;
+    }
+  }
+}
+
+const avg2 = (a, b) => (a + b + 1) >> 1;
+const avg3 = (a, b, c) => (a + 2 * b + c + 2) >> 2;
+
+// Predicts the 4x4 subblock at work[at] from the pixels above it (A to H,
+// four of them above-right), to its left (I to L) and above-left (X).
+function predictSubblock(work, at, mode) {
+  const above = at - WORK_STRIDE;
+  const [X, A, B, C, D, E, F, G, H] = work.subarray(above - 1, above + 8);
+  const [I, J, K, L] = [0, 1, 2, 3].map(y => work[at + y * WORK_STRIDE - 1]);
+  let rows;
+  if (mode === VP8_MODES.DC) {
+    const dc = (A + B + C + D + I + J + K + L + 4) >> 3;
+    rows = [[dc, dc, dc, dc], [dc, dc, dc, dc], [dc, dc, dc, dc], [dc, dc, dc, dc]];
+  } else if (mode === VP8_MODES.TM) {
+    rows = [I, J, K, L].map(left => [A, B, C, D].map(top => clampByte(left + top - X)));
+  } else if (mode === VP8_MODES.VE) {
+    const row = [avg3(X, A, B), avg3(A, B, C), avg3(B, C, D), avg3(C, D, E)];
+    rows = [row, row, row, row];
+  } else if (mode === VP8_MODES.HE) {
+    rows = [avg3(X, I, J), avg3(I, J, K), avg3(J, K, L), avg3(K, L, L)].map(value => [value, value, value, value]);
+  } else if (mode === VP8_MODES.RD) {
+    const edge = [L, K, J, I, X, A, B, C, D];
+    rows = [0, 1, 2, 3].map(y => [0, 1, 2, 3].map(x => avg3(edge[3 - y + x], edge[4 - y + x], edge[5 - y + x])));
+  } else if (mode === VP8_MODES.LD) {
+    const edge = [A, B, C, D, E, F, G, H, H];
+    rows = [0, 1, 2, 3].map(y => [0, 1, 2, 3].map(x => avg3(edge[x + y], edge[x + y + 1], edge[x + y + 2])));
+  } else if (mode === VP8_MODES.VR) {
+    rows = [
+      [avg2(X, A), avg2(A, B), avg2(B, C), avg2(C, D)],
+      [avg3(I, X, A), avg3(X, A, B), avg3(A, B, C), avg3(B, C, D)],
+      [avg3(J, I, X), avg2(X, A), avg2(A, B), avg2(B, C)],
+      [avg3(K, J, I), avg3(I, X, A), avg3(X, A, B), avg3(A, B, C)]
+    ];
+  } else if (mode === VP8_MODES.VL) {
+    rows = [
+      [avg2(A, B), avg2(B, C), avg2(C, D), avg2(D, E)],
+      [avg3(A, B, C), avg3(B, C, D), avg3(C, D, E), avg3(D, E, F)],
+      [avg2(B, C), avg2(C, D), avg2(D, E), avg3(E, F, G)],
+      [avg3(B, C, D), avg3(C, D, E), avg3(D, E, F), avg3(F, G, H)]
+    ];
+  } else if (mode === VP8_MODES.HD) {
+    rows = [
+      [avg2(I, X), avg3(I, X, A), avg3(X, A, B), avg3(A, B, C)],
+      [avg2(J, I), avg3(J, I, X), avg2(I, X), avg3(I, X, A)],
+      [avg2(K, J), avg3(K, J, I), avg2(J, I), avg3(J, I, X)],
+      [avg2(L, K), avg3(L, K, J), avg2(K, J), avg3(K, J, I)]
+    ];
+  } else {
+    rows = [
+      [avg2(I, J), avg3(I, J, K), avg2(J, K), avg3(J, K, L)],
+      [avg2(J, K), avg3(J, K, L), avg2(K, L), avg3(K, L, L)],
+      [avg2(K, L), avg3(K, L, L), L, L],
+      [L, L, L, L]
+    ];
+  }
+  rows.forEach((row, y) => work.set(row, at + y * WORK_STRIDE));
+}
+
+function decodeVp8(data, alphaData) {
+  if (data.length < 10) {
+    throw corrupt('Invalid WebP lossy header');
+  }
+  const frameTag = data[0] | (data[1] << 8) | (data[2] << 16);
+  const firstPartitionSize = frameTag >> 5;
+  if (frameTag & 1 || data[3] !== 0x9D || data[4] !== 0x01 || data[5] !== 0x2A) {
+    throw corrupt('Invalid WebP lossy header');
+  }
+  const width = data.readUInt16LE(6) & 0x3FFF;
+  const height = data.readUInt16LE(8) & 0x3FFF;
+  if (!width || !height) {
+    throw corrupt('Invalid WebP lossy header');
+  }
+  if (10 + firstPartitionSize > data.length) {
+    throw corrupt('WebP data ends early');
+  }
+
+  const header = createBoolDecoder(data, 10, 10 + firstPartitionSize);
+  header.readLiteral(2); // colour space and clamping type
+  const segments = { enabled: false, updateMap: false, absolute: false, quantizers: [0, 0, 0, 0], probs: [255, 255, 255] };
+  if (header.readLiteral(1)) {
+    segments.enabled = true;
+    segments.updateMap = header.readLiteral(1) === 1;
+    if (header.readLiteral(1)) {
+      segments.absolute = header.readLiteral(1) === 1;
+      segments.quantizers = segments.quantizers.map(() => header.readOptionalSigned(7));
+      segments.quantizers.forEach(() => header.readOptionalSigned(6)); // loop filter strengths
+    }
+    if (segments.updateMap) {
+      segments.probs = segments.probs.map(() => (header.readLiteral(1) ? header.readLiteral(8) : 255));
+    }
+  }
+  header.readLiteral(10); // loop filter type, level and sharpness
+  if (header.readLiteral(1) && header.readLiteral(1)) {
+    for (let i = 0; i < 8; i++) {
+      header.readOptionalSigned(6);
+    }
+  }
+
+  const partitionCount = 1 << header.readLiteral(2);
+  const sizesStart = 10 + firstPartitionSize;
+  const partitions = [];
+  for (let i = 0, start = sizesStart + 3 * (partitionCount - 1); i < partitionCount; i++) {
+    const sizeAt = sizesStart + 3 * i;
+    const end = i < partitionCount - 1 ? start + (data[sizeAt] | (data[sizeAt + 1] << 8) | (data[sizeAt + 2] << 16)) : data.length;
+    if (start > data.length) {
+      throw corrupt('WebP data ends early');
+    }
+    partitions.push(createBoolDecoder(data, start, Math.min(end, data.length)));
+    start = end;
+  }
+
+  const baseQuantizer = header.readLiteral(7);
+  // Luma DC, Y2 DC and AC, then chroma DC and AC, which are not needed here.
+  const deltas = [0, 1, 2, 3, 4].map(() => header.readOptionalSigned(4));
+  const quantIndex = value => Math.max(0, Math.min(127, value));
+  const quantizers = segments.quantizers.map(level => {
+    const q = segments.enabled ? level + (segments.absolute ? 0 : baseQuantizer) : baseQuantizer;
+    return {
+      y1: [DC_QUANT[quantIndex(q + deltas[0])], AC_QUANT[quantIndex(q)]],
+      y2: [DC_QUANT[quantIndex(q + deltas[1])] * 2, Math.max(8, Math.floor(AC_QUANT[quantIndex(q + deltas[2])] * 155 / 100))]
+    };
+  });
+
+  header.readLiteral(1); // refresh entropy probabilities, moot for a single frame
+  const probs = COEFF_PROBS.map(bands => bands.map(contexts => contexts.map(values => values.slice())));
+  for (let type = 0; type < 4; type++) {
+    for (let band = 0; band < 8; band++) {
+      for (let context = 0; context < 3; context++) {
+        for (let i = 0; i < 11; i++) {
+          if (header.readBool(COEFF_UPDATE_PROBS[type][band][context][i])) {
+            probs[type][band][context][i] = header.readLiteral(8);
+          }
+        }
+      }
+    }
+  }
+  const skipProbability = header.readLiteral(1) ? header.readLiteral(8) : null;
+
+  const macroblocksWide = (width + 15) >> 4;
+  const macroblocksHigh = (height + 15) >> 4;
+  const stride = macroblocksWide * 16;
+  const luma = new Uint8Array(stride * macroblocksHigh * 16);
+  const work = new Uint8Array(WORK_STRIDE * 17);
+  const coefficients = new Int32Array(256);
+  const secondOrder = new Int32Array(16);
+  const chroma = new Int32Array(16);
+  const subblockModes = new Uint8Array(16);
+  // Per macroblock column above and for the macroblock to the left: the
+  // subblock modes, then whether each luma, U and V block column (or row) and
+  // the Y2 block had coefficients.
+  const topModes = new Uint8Array(macroblocksWide * 4);
+  const leftModes = new Uint8Array(4);
+  const topNonZero = new Uint8Array(macroblocksWide * 9);
+  const leftNonZero = new Uint8Array(9);
+
+  for (let mbY = 0; mbY < macroblocksHigh; mbY++) {
+    const tokens = partitions[mbY & (partitionCount - 1)];
+    leftModes.fill(VP8_MODES.DC);
+    leftNonZero.fill(0);
+    for (let mbX = 0; mbX < macroblocksWide; mbX++) {
+      let segment = 0;
+      if (segments.updateMap) {
+        segment = !header.readBool(segments.probs[0]) ? header.readBool(segments.probs[1]) : 2 + header.readBool(segments.probs[2]);
+      }
+      const skip = skipProbability !== null && header.readBool(skipProbability) === 1;
+      const subblocks = !header.readBool(145);
+      let mode = VP8_MODES.DC;
+      if (subblocks) {
+        for (let y = 0; y < 4; y++) {
+          let left = leftModes[y];
+          for (let x = 0; x < 4; x++) {
+            const modeProbs = BMODE_PROBS[topModes[mbX * 4 + x]][left];
+            let node = 0;
+            do {
+              node = VP8_BMODE_TREE[2 * node + header.readBool(modeProbs[node])];
+            } while (node > 0);
+            left = -node;
+            topModes[mbX * 4 + x] = left;
+            subblockModes[y * 4 + x] = left;
+          }
+          leftModes[y] = left;
+        }
+      } else {
+        if (header.readBool(156)) {
+          mode = header.readBool(128) ? VP8_MODES.TM : VP8_MODES.HE;
+        } else {
+          mode = header.readBool(163) ? VP8_MODES.VE : VP8_MODES.DC;
+        }
+        topModes.fill(mode, mbX * 4, mbX * 4 + 4);
+        leftModes.fill(mode);
+      }
+      if (header.readBool(142) && header.readBool(114)) {
+        header.readBool(183); // chroma mode
+      }
+
+      const top = mbX * 9;
+      coefficients.fill(0);
+      if (skip) {
+        topNonZero.fill(0, top, top + 8);
+        leftNonZero.fill(0, 0, 8);
+        if (!subblocks) {
+          topNonZero[top + 8] = 0;
+          leftNonZero[8] = 0;
+        }
+      } else {
+        const quantizer = quantizers[segment];
+        let first = 0;
+        let lumaProbs = probs[3];
+        if (!subblocks) {
+          secondOrder.fill(0);
+          const nonZero = readCoefficients(tokens, probs[1], topNonZero[top + 8] + leftNonZero[8], quantizer.y2, 0, secondOrder, 0) > 0 ? 1 : 0;
+          topNonZero[top + 8] = nonZero;
+          leftNonZero[8] = nonZero;
+          inverseWalsh(secondOrder, coefficients);
+          first = 1;
+          lumaProbs = probs[0];
+        }
+        for (let y = 0; y < 4; y++) {
+          let left = leftNonZero[y];
+          for (let x = 0; x < 4; x++) {
+            left = readCoefficients(tokens, lumaProbs, left + topNonZero[top + x], quantizer.y1, first, coefficients, (y * 4 + x) * 16) > 0 ? 1 : 0;
+            topNonZero[top + x] = left;
+          }
+          leftNonZero[y] = left;
+        }
+        // Chroma is read to keep the token stream in step, then dropped.
+        for (let plane = 4; plane < 8; plane += 2) {
+          for (let y = 0; y < 2; y++) {
+            let left = leftNonZero[plane + y];
+            for (let x = 0; x < 2; x++) {
+              left = readCoefficients(tokens, probs[2], left + topNonZero[top + plane + x], quantizer.y1, 0, chroma, 0) > 0 ? 1 : 0;
+              topNonZero[top + plane + x] = left;
+            }
+            leftNonZero[plane + y] = left;
+          }
+        }
+      }
+
+      // Edges outside the frame are 127 above and 129 to the left.
+      const x0 = mbX * 16;
+      const y0 = mbY * 16;
+      const above = (y0 - 1) * stride + x0;
+      work[WORK_ORIGIN - WORK_STRIDE - 1] = mbY === 0 ? 127 : mbX === 0 ? 129 : luma[above - 1];
+      for (let i = 0; i < 20; i++) {
+        const column = i < 16 || mbX < macroblocksWide - 1 ? i : 15;
+        work[WORK_ORIGIN - WORK_STRIDE + i] = mbY === 0 ? 127 : luma[above + column];
+      }
+      for (let i = 0; i < 16; i++) {
+        work[WORK_ORIGIN + i * WORK_STRIDE - 1] = mbX === 0 ? 129 : luma[(y0 + i) * stride + x0 - 1];
+      }
+      // Subblocks down the right-hand side all take their above-right pixels
+      // from the macroblock above-right.
+      for (let row = 3; row < 15; row += 4) {
+        work.copyWithin(WORK_ORIGIN + row * WORK_STRIDE + 16, WORK_ORIGIN - WORK_STRIDE + 16, WORK_ORIGIN - WORK_STRIDE + 20);
+      }
+
+      if (!subblocks) {
+        predictMacroblock(work, mode, mbY > 0, mbX > 0);
+      }
+      for (let block = 0; block < 16; block++) {
+        const at = WORK_ORIGIN + (block >> 2) * 4 * WORK_STRIDE + (block & 3) * 4;
+        if (subblocks) {
+          predictSubblock(work, at, subblockModes[block]);
+        }
+        addInverseDct(coefficients, block * 16, work, at);
+      }
+      for (let y = 0; y < 16; y++) {
+        luma.set(work.subarray(WORK_ORIGIN + y * WORK_STRIDE, WORK_ORIGIN + y * WORK_STRIDE + 16), (y0 + y) * stride + x0);
+      }
+    }
+  }
+
+  // VP8 luma runs from 16 (black) to 235 (white).
+  const alpha = alphaData ? decodeWebpAlpha(alphaData, width, height) : null;
+  const gray = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = clampByte((luma[y * stride + x] - 16) * 255 / 219);
+      gray[y * width + x] = Math.round(alpha ? flatten(value, alpha[y * width + x]) : value);
+    }
+  }
+  return { width: width, height: height, gray: gray, grayWidth: width, grayHeight: height };
+}
+
+// VP8L (lossless WebP) reads its bits least significant first.
+function createLosslessReader(data, start) {
+  let position = start;
+  let bits = 0;
+  let bitCount = 0;
+
+  const fill = count => {
+    while (bitCount < count) {
+      if (position >= data.length + 4) {
+        throw corrupt('WebP data ends early');
+      }
+      bits |= (position < data.length ? data[position] : 0) << bitCount;
+      position++;
+      bitCount += 8;
+    }
+  };
+  const skip = count => {
+    bits >>>= count;
+    bitCount -= count;
+  };
+
+  return {
+    readBits(count) {
+      fill(count);
+      const value = bits & ((1 << count) - 1);
+      skip(count);
+      return value;
+    },
+    readSymbol(code) {
+      if (code.single >= 0) {
+        return code.single;
+      }
+      fill(15);
+      const entry = code.table[bits & 0xFF];
+      if (entry >= 0) {
+        skip(entry & 15);
+        return entry >> 4;
+      }
+      let value = 0;
+      let first = 0;
+      let index = 0;
+      for (let length = 1; length <= 15; length++) {
+        value |= bits & 1;
+        skip(1);
+        const count = code.counts[length];
+        if (value - first < count) {
+          return code.symbols[index + value - first];
+        }
+        index += count;
+        first = (first + count) << 1;
+        value <<= 1;
+      }
+      throw corrupt('Invalid WebP prefix code');
+    }
+  };
+}
+
+// Canonical prefix code from code lengths. Codes of up to 8 bits are looked
+// up in one step, longer ones are walked a bit at a time.
+function buildPrefixCode(lengths) {
+  const counts = new Uint16Array(16);
+  lengths.forEach(length => counts[length]++);
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  let unused = 1;
+  for (let length = 1; length <= 15; length++) {
+    offsets[length] = length > 1 ? offsets[length - 1] + counts[length - 1] : 0;
+    unused = (unused << 1) - counts[length];
+    if (unused < 0) {
+      throw corrupt('Invalid WebP prefix code');
+    }
+  }
+  const total = offsets[15] + counts[15];
+  const symbols = new Uint16Array(total);
+  const next = offsets.slice();
+  lengths.forEach((length, symbol) => {
+    if (length) symbols[next[length]++] = symbol;
+  });
+  if (total === 1) {
+    return { single: symbols[0] };
+  }
+  if (total === 0 || unused !== 0) {
+    throw corrupt('Invalid WebP prefix code');
+  }
+
+  const table = new Int32Array(256).fill(-1);
+  for (let length = 1, code = 0, index = 0; length <= 8; length++, code <<= 1) {
+    for (let i = 0; i < counts[length]; i++, code++, index++) {
+      let reversed = 0;
+      for (let bit = 0; bit < length; bit++) {
+        reversed |= ((code >> bit) & 1) << (length - 1 - bit);
+      }
+      for (let entry = reversed; entry < 256; entry += 1 << length) {
+        table[entry] = (symbols[index] << 4) | length;
+      }
+    }
+  }
+  return { single: -1, table: table, counts: counts, symbols: symbols };
+}
+
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+function readPrefixCode(reader, alphabetSize) {
+  const lengths = new Uint8Array(alphabetSize);
+  if (reader.readBits(1)) {
+    const symbolCount = reader.readBits(1) + 1;
+    for (let i = 0; i < symbolCount; i++) {
+      const symbol = reader.readBits(i === 0 && !reader.readBits(1) ? 1 : 8);
+      if (symbol >= alphabetSize) {
+        throw corrupt('Invalid WebP prefix code');
+      }
+      lengths[symbol] = 1;
+    }
+    return buildPrefixCode(lengths);
+  }
+
+  const codeLengthLengths = new Uint8Array(19);
+  const codeLengthCount = reader.readBits(4) + 4;
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+  }
+  const lengthCode = buildPrefixCode(codeLengthLengths);
+  let remaining = alphabetSize;
+  if (reader.readBits(1)) {
+    remaining = 2 + reader.readBits(2 + 2 * reader.readBits(3));
+    if (remaining > alphabetSize) {
+      throw corrupt('Invalid WebP prefix code');
+    }
+  }
+  let previous = 8;
+  for (let symbol = 0; symbol < alphabetSize && remaining-- > 0;) {
+    const length = reader.readSymbol(lengthCode);
+    if (length < 16) {
+      lengths[symbol++] = length;
+      if (length) previous = length;
+      continue;
+    }
+    const repeat = length === 16 ? 3 + reader.readBits(2) : length === 17 ? 3 + reader.readBits(3) : 11 + reader.readBits(7);
+    if (symbol + repeat > alphabetSize) {
+      throw corrupt('Invalid WebP prefix code');
+    }
+    lengths.fill(length === 16 ? previous : 0, symbol, symbol + repeat);
+    symbol += repeat;
+  }
+  return buildPrefixCode(lengths);
+}
+
+// Lengths and distances: the first four codes stand for themselves, later
+// ones for a range whose offset is given by extra bits.
+function readLz77Value(reader, code) {
+  if (code < 4) {
+    return code + 1;
+  }
+  const extraBits = (code - 2) >> 1;
+  return ((2 + (code & 1)) << extraBits) + reader.readBits(extraBits) + 1;
+}
+
+// The first 120 distance codes are (x, y) offsets to nearby pixels.
+const LOSSLESS_DISTANCES = [
+  [0, 1], [1, 0], [1, 1], [-1, 1], [0, 2], [2, 0], [1, 2], [-1, 2], [2, 1], [-2, 1],
+  [2, 2], [-2, 2], [0, 3], [3, 0], [1, 3], [-1, 3], [3, 1], [-3, 1], [2, 3], [-2, 3],
+  [3, 2], [-3, 2], [0, 4], [4, 0], [1, 4], [-1, 4], [4, 1], [-4, 1], [3, 3], [-3, 3],
+  [2, 4], [-2, 4], [4, 2], [-4, 2], [0, 5], [3, 4], [-3, 4], [4, 3], [-4, 3], [5, 0],
+  [1, 5], [-1, 5], [5, 1], [-5, 1], [2, 5], [-2, 5], [5, 2], [-5, 2], [4, 4], [-4, 4],
+  [3, 5], [-3, 5], [5, 3], [-5, 3], [0, 6], [6, 0], [1, 6], [-1, 6], [6, 1], [-6, 1],
+  [2, 6], [-2, 6], [6, 2], [-6, 2], [4, 5], [-4, 5], [5, 4], [-5, 4], [3, 6], [-3, 6],
+  [6, 3], [-6, 3], [0, 7], [7, 0], [1, 7], [-1, 7], [5, 5], [-5, 5], [7, 1], [-7, 1],
+  [4, 6], [-4, 6], [6, 4], [-6, 4], [2, 7], [-2, 7], [7, 2], [-7, 2], [3, 7], [-3, 7],
+  [7, 3], [-7, 3], [5, 6], [-5, 6], [6, 5], [-6, 5], [8, 0], [4, 7], [-4, 7], [7, 4],
+  [-7, 4], [8, 1], [8, 2], [6, 6], [-6, 6], [8, 3], [5, 7], [-5, 7], [7, 5], [-7, 5],
+  [8, 4], [6, 7], [-6, 7], [7, 6], [-7, 6], [8, 5], [7, 7], [-7, 7], [8, 6], [8, 7]
+];
+
+function losslessDistance(code, width) {
+  if (code > 120) {
+    return code - 120;
+  }
+  const [x, y] = LOSSLESS_DISTANCES[code - 1];
+  return Math.max(1, x + y * width);
+}
+
+const subsampleSize = (size, bits) => (size + (1 << bits) - 1) >> bits;
+
+function addPixels(a, b) {
+  return ((((a & 0xFF00FF00) + (b & 0xFF00FF00)) & 0xFF00FF00) | (((a & 0x00FF00FF) + (b & 0x00FF00FF)) & 0x00FF00FF)) >>> 0;
+}
+
+function averagePixels(a, b) {
+  return ((((a ^ b) & 0xFEFEFEFE) >>> 1) + (a & b)) >>> 0;
+}
+
+function mapChannels(a, b, c, combine) {
+  let result = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    result |= combine((a >>> shift) & 0xFF, (b >>> shift) & 0xFF, (c >>> shift) & 0xFF) << shift;
+  }
+  return result >>> 0;
+}
+
+function predictPixel(mode, left, top, topLeft, topRight) {
+  switch (mode) {
+    case 1: return left;
+    case 2: return top;
+    case 3: return topRight;
+    case 4: return topLeft;
+    case 5: return averagePixels(averagePixels(left, topRight), top);
+    case 6: return averagePixels(left, topLeft);
+    case 7: return averagePixels(left, top);
+    case 8: return averagePixels(topLeft, top);
+    case 9: return averagePixels(top, topRight);
+    case 10: return averagePixels(averagePixels(left, topLeft), averagePixels(top, topRight));
+    case 11: {
+      let score = 0;
+      for (let shift = 0; shift < 32; shift += 8) {
+        const corner = (topLeft >>> shift) & 0xFF;
+        score += Math.abs(((left >>> shift) & 0xFF) - corner) - Math.abs(((top >>> shift) & 0xFF) - corner);
+      }
+      return score <= 0 ? top : left;
+    }
+    case 12: return mapChannels(left, top, topLeft, (l, t, tl) => clampByte(l + t - tl));
+    case 13: return mapChannels(averagePixels(left, top), topLeft, 0, (a, tl) => clampByte(a + Math.trunc((a - tl) / 2)));
+    default: return 0xFF000000;
+  }
+}
+
+const int8 = value => (value << 24) >> 24;
+
+function inverseLosslessTransform(transform, pixels, height) {
+  const { type, width, bits, data } = transform;
+  const tilesWide = subsampleSize(width, bits);
+  const tile = (x, y) => data[(y >> bits) * tilesWide + (x >> bits)];
+
+  if (type === 3) {
+    const output = new Uint32Array(width * height);
+    const bitsPerIndex = 8 >> bits;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const packed = (pixels[y * tilesWide + (x >> bits)] >> 8) & 0xFF;
+        const index = (packed >> ((x & ((1 << bits) - 1)) * bitsPerIndex)) & ((1 << bitsPerIndex) - 1);
+        output[y * width + x] = index < data.length ? data[index] : 0;
+      }
+    }
+    return output;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const position = y * width + x;
+      const argb = pixels[position];
+      if (type === 0) {
+        let predicted;
+        if (y === 0) {
+          predicted = x === 0 ? 0xFF000000 : pixels[position - 1];
+        } else if (x === 0) {
+          predicted = pixels[position - width];
+        } else {
+          const above = position - width;
+          predicted = predictPixel((tile(x, y) >> 8) & 15, pixels[position - 1], pixels[above], pixels[above - 1], pixels[above + 1]);
+        }
+        pixels[position] = addPixels(argb, predicted);
+      } else if (type === 1) {
+        const code = tile(x, y);
+        const green = int8(argb >> 8);
+        const red = ((argb >> 16) + ((int8(code) * green) >> 5)) & 0xFF;
+        const blue = (argb + ((int8(code >> 8) * green) >> 5) + ((int8(code >> 16) * int8(red)) >> 5)) & 0xFF;
+        pixels[position] = ((argb & 0xFF00FF00) | (red << 16) | blue) >>> 0;
+      } else {
+        const green = (argb >> 8) & 0xFF;
+        pixels[position] = ((argb & 0xFF00FF00) | ((((argb >> 16) + green) & 0xFF) << 16) | ((argb + green) & 0xFF)) >>> 0;
+      }
+    }
+  }
+  return pixels;
+}
+
+// One VP8L image: the main image applies transforms and may switch prefix
+// codes across the picture, the sub-images that describe those use neither.
+function readLosslessImage(reader, width, height, topLevel) {
+  const transforms = [];
+  let codedWidth = width;
+  while (topLevel && reader.readBits(1)) {
+    const type = reader.readBits(2);
+    if (transforms.some(transform => transform.type === type)) {
+      throw corrupt('WebP transform repeated');
+    }
+    const transform = { type: type, width: codedWidth, bits: 0, data: null };
+    if (type === 0 || type === 1) {
+      transform.bits = reader.readBits(3) + 2;
+      transform.data = readLosslessImage(reader, subsampleSize(codedWidth, transform.bits), subsampleSize(height, transform.bits), false);
+    } else if (type === 3) {
+      const colorCount = reader.readBits(8) + 1;
+      transform.bits = colorCount > 16 ? 0 : colorCount > 4 ? 1 : colorCount > 2 ? 2 : 3;
+      transform.data = readLosslessImage(reader, colorCount, 1, false);
+      for (let i = 1; i < colorCount; i++) {
+        transform.data[i] = addPixels(transform.data[i], transform.data[i - 1]);
+      }
+      codedWidth = subsampleSize(codedWidth, transform.bits);
+    }
+    transforms.push(transform);
+  }
+
+  let cacheBits = 0;
+  if (reader.readBits(1)) {
+    cacheBits = reader.readBits(4);
+    if (cacheBits < 1 || cacheBits > 11) {
+      throw corrupt('Invalid WebP colour cache size');
+    }
+  }
+  const cacheSize = cacheBits ? 1 << cacheBits : 0;
+  let groupBits = 0;
+  let groupImage = null;
+  let groupCount = 1;
+  if (topLevel && reader.readBits(1)) {
+    groupBits = reader.readBits(3) + 2;
+    groupImage = readLosslessImage(reader, subsampleSize(codedWidth, groupBits), subsampleSize(height, groupBits), false);
+    for (let i = 0; i < groupImage.length; i++) {
+      groupImage[i] = (groupImage[i] >> 8) & 0xFFFF;
+      groupCount = Math.max(groupCount, groupImage[i] + 1);
+    }
+  }
+  const groupsWide = subsampleSize(codedWidth, groupBits);
+  const groups = [];
+  for (let i = 0; i < groupCount; i++) {
+    groups.push([280 + cacheSize, 256, 256, 256, 40].map(size => readPrefixCode(reader, size)));
+  }
+
+  const pixels = new Uint32Array(codedWidth * height);
+  const cache = new Uint32Array(cacheSize);
+  let cached = 0;
+  for (let position = 0, x = 0, y = 0; position < pixels.length;) {
+    const group = groupImage ? groups[groupImage[(y >> groupBits) * groupsWide + (x >> groupBits)]] : groups[0];
+    const green = reader.readSymbol(group[0]);
+    let length = 1;
+    if (green < 256) {
+      const red = reader.readSymbol(group[1]);
+      const blue = reader.readSymbol(group[2]);
+      const alpha = reader.readSymbol(group[3]);
+      pixels[position] = ((alpha << 24) | (red << 16) | (green << 8) | blue) >>> 0;
+    } else if (green < 280) {
+      length = readLz77Value(reader, green - 256);
+      const distance = losslessDistance(readLz77Value(reader, reader.readSymbol(group[4])), codedWidth);
+      if (distance > position || length > pixels.length - position) {
+        throw corrupt('Invalid WebP back-reference');
+      }
+      for (let i = 0; i < length; i++) {
+        pixels[position + i] = pixels[position + i - distance];
+      }
+    } else {
+      for (; cached < position; cached++) {
+        cache[Math.imul(pixels[cached], 0x1E35A7BD) >>> (32 - cacheBits)] = pixels[cached];
+      }
+      pixels[position] = cache[green - 280];
+    }
+    position += length;
+    x += length;
+    while (x >= codedWidth) {
+      x -= codedWidth;
+      y++;
+    }
+  }
+
+  return transforms.reduceRight((result, transform) => inverseLosslessTransform(transform, result, height), pixels);
+}
+
+function decodeVp8l(data) {
+  if (data.length < 5 || data[0] !== 0x2F) {
+    throw corrupt('Invalid WebP lossless header');
+  }
+  const reader = createLosslessReader(data, 1);
+  const width = reader.readBits(14) + 1;
+  const height = reader.readBits(14) + 1;
+  reader.readBits(1); // whether any pixel is transparent
+  if (reader.readBits(3) !== 0) {
+    throw unsupported('Unknown WebP lossless version');
+  }
+  const pixels = readLosslessImage(reader, width, height, true);
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const argb = pixels[i];
+    gray[i] = Math.round(flatten(luminance((argb >> 16) & 0xFF, (argb >> 8) & 0xFF, argb & 0xFF), argb >>> 24));
+  }
+  return { width: width, height: height, gray: gray, grayWidth: width, grayHeight: height };
+}
+
+// The ALPH chunk next to a lossy image: raw or a headerless VP8L image whose
+// green channel is the alpha, optionally filtered against neighbouring values.
+function decodeWebpAlpha(data, width, height) {
+  const compression = data[0] & 3;
+  const filter = (data[0] >> 2) & 3;
+  let alpha;
+  if (compression === 0) {
+    if (data.length < 1 + width * height) {
+      throw corrupt('WebP alpha data ends early');
+    }
+    alpha = Uint8Array.from(data.subarray(1, 1 + width * height));
+  } else if (compression === 1) {
+    alpha = Uint8Array.from(readLosslessImage(createLosslessReader(data, 1), width, height, true), argb => (argb >> 8) & 0xFF);
+  } else {
+    throw corrupt('Invalid WebP alpha compression');
+  }
+  if (filter === 0) {
+    return alpha;
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let predicted;
+      if (y === 0) predicted = x === 0 ? 0 : alpha[i - 1];
+      else if (x === 0 || filter === 2) predicted = alpha[i - width];
+      else if (filter === 1) predicted = alpha[i - 1];
+      else predicted = clampByte(alpha[i - 1] + alpha[i - width] - alpha[i - width - 1]);
+      alpha[i] = (alpha[i] + predicted) & 0xFF;
+    }
+  }
+  return alpha;
+}
+
+// Finds the image chunk, or the first frame of an animation, and any alpha
+// chunk that goes with it.
+function findWebpImage(chunks) {
+  let alpha = null;
+  for (let position = 0; position + 8 <= chunks.length;) {
+    const type = chunks.toString('latin1', position, position + 4);
+    const length = chunks.readUInt32LE(position + 4);
+    const data = chunks.subarray(position + 8, position + 8 + length);
+    position += 8 + length + (length & 1);
+    if (type === 'ALPH') {
+      alpha = alpha || data;
+    } else if (type === 'VP8 ' || type === 'VP8L') {
+      return { type: type, data: data, alpha: alpha };
+    } else if (type === 'ANMF') {
+      return findWebpImage(data.subarray(16));
+    }
+  }
+  return null;
+}
+
+function decodeWebp(buffer) {
+  const image = findWebpImage(buffer.subarray(12));
+  if (!image) {
+    throw corrupt('WebP has no image data');
+  }
+  return image.type === 'VP8L' ? decodeVp8l(image.data) : decodeVp8(image.data, image.alpha);
+}
+
+function decodeImage(buffer) {
+  if (buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return decodeJpeg(buffer);
+  }
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+    return decodePng(buffer);
+  }
+  if (buffer.length > 13 && buffer.toString('latin1', 0, 3) === 'GIF') {
+    return decodeGif(buffer);
+  }
+  if (buffer.length > 54 && buffer.toString('latin1', 0, 2) === 'BM') {
+    return decodeBmp(buffer);
+  }
+  if (buffer.length > 12 && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return decodeWebp(buffer);
+  }
+  throw corrupt('Not a recognised image file');
+}
+
+module.exports = {
+  decodeImage
+};
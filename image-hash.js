@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const { decodeImage } = require('./image-decode');
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp'];
+const DEFAULT_SIMILARITY_THRESHOLD = 6;
+const HASH_BITS = 64;
+
+// Averages the greyscale image down to width x height cells.
+function shrink(image, width, height) {
+  const cells = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const top = Math.min(image.grayHeight - 1, Math.floor(y * image.grayHeight / height));
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * image.grayHeight / height));
+    for (let x = 0; x < width; x++) {
+      const left = Math.min(image.grayWidth - 1, Math.floor(x * image.grayWidth / width));
+      const right = Math.max(left + 1, Math.floor((x + 1) * image.grayWidth / width));
+      let sum = 0;
+      for (let row = top; row < bottom; row++) {
+        for (let column = left; column < right; column++) {
+          sum += image.gray[row * image.grayWidth + column];
+        }
+      }
+      cells[y * width + x] = sum / ((bottom - top) * (right - left));
+    }
+  }
+  return cells;
+}
+
+// dHash: one bit per horizontally adjacent pair of a 9x8 thumbnail, set when
+// brightness increases. Survives re-encoding, resizing and metadata changes.
+function differenceHash(image) {
+  const cells = shrink(image, 9, 8);
+  const words = [0, 0];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const bit = y * 8 + x;
+      if (cells[y * 9 + x] < cells[y * 9 + x + 1]) {
+        words[bit >> 5] |= 1 << (31 - (bit & 31));
+      }
+    }
+  }
+  return words.map(word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+async function computeImageHash(filePath) {
+  const image = decodeImage(await fs.readFile(filePath));
+  return { hash: differenceHash(image), width: image.width, height: image.height };
+}
+
+function bitCount(value) {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+function hashWords(hash) {
+  return [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8, 16), 16)];
+}
+
+function hammingDistance(a, b) {
+  const left = hashWords(a);
+  const right = hashWords(b);
+  return bitCount(left[0] ^ right[0]) + bitCount(left[1] ^ right[1]);
+}
+
+// Groups items whose hashes are within maxDistance of each other, chaining
+// through intermediate matches. A BK-tree keeps this well below n^2 lookups.
+function clusterByDistance(items, maxDistance) {
+  const parents = items.map((item, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const words = items.map(item => hashWords(item.hash));
+  const distance = (a, b) => bitCount(words[a][0] ^ words[b][0]) + bitCount(words[a][1] ^ words[b][1]);
+
+  let root = null;
+  items.forEach((item, index) => {
+    const node = { index: index, children: new Map() };
+    if (!root) {
+      root = node;
+      return;
+    }
+
+    const pending = [root];
+    while (pending.length > 0) {
+      const candidate = pending.pop();
+      const candidateDistance = distance(candidate.index, index);
+      if (candidateDistance <= maxDistance) {
+        parents[find(index)] = find(candidate.index);
+      }
+      for (const [edge, child] of candidate.children) {
+        if (Math.abs(edge - candidateDistance) <= maxDistance) {
+          pending.push(child);
+        }
+      }
+    }
+
+    let parent = root;
+    for (;;) {
+      const edge = distance(parent.index, index);
+      const child = parent.children.get(edge);
+      if (!child) {
+        parent.children.set(edge, node);
+        break;
+      }
+      parent = child;
+    }
+  });
+
+  const clusters = new Map();
+  items.forEach((item, index) => {
+    const clusterRoot = find(index);
+    if (!clusters.has(clusterRoot)) {
+      clusters.set(clusterRoot, []);
+    }
+    clusters.get(clusterRoot).push(item);
+  });
+  return [...clusters.values()].filter(cluster => cluster.length > 1);
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  DEFAULT_SIMILARITY_THRESHOLD,
+  HASH_BITS,
+  computeImageHash,
+  hammingDistance,
+  clusterByDistance
+};
@@ -0,0 +1,54 @@
+// Controls one running job. Pausing holds the job at its next checkpoint
+// (loops, copy streams) without unwinding anything, so resuming carries on
+// exactly where it stopped; cancelling aborts the signal handed to streams and
+// hash workers and makes every later checkpoint throw an AbortError.
+function createJobController() {
+  const abortController = new AbortController();
+  let paused = false;
+  let waiting = [];
+
+  const release = () => {
+    const resolvers = waiting;
+    waiting = [];
+    resolvers.forEach(resolve => resolve());
+  };
+
+  return {
+    signal: abortController.signal,
+    get paused() {
+      return paused;
+    },
+    get cancelled() {
+      return abortController.signal.aborted;
+    },
+    pause() {
+      if (!abortController.signal.aborted) {
+        paused = true;
+      }
+    },
+    resume() {
+      paused = false;
+      release();
+    },
+    cancel() {
+      paused = false;
+      abortController.abort();
+      release();
+    },
+    async checkpoint() {
+      while (paused) {
+        await new Promise(resolve => waiting.push(resolve));
+      }
+      abortController.signal.throwIfAborted();
+    }
+  };
+}
+
+function isAbortError(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
+module.exports = {
+  createJobController,
+  isAbortError
+};
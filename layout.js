@@ -0,0 +1,65 @@
+const path = require('path');
+
+const LAYOUT_TOKENS = ['year', 'month', 'day', 'name', 'stem', 'ext', 'source', 'relpath', 'folder'];
+const DATE_TOKENS = ['year', 'month', 'day'];
+const NAME_TOKENS = ['name', 'stem', 'relpath'];
+const DEFAULT_LAYOUT = '{folder}/{name}';
+
+const LAYOUT_PRESETS = {
+  mirror: {
+    label: 'Mirror the source folders (names grouped by the folder rules)',
+    template: DEFAULT_LAYOUT
+  },
+  month: {
+    label: 'By year and month (2019/07/IMG_0001.jpg)',
+    template: '{year}/{month}/{name}'
+  },
+  day: {
+    label: 'By year and day (2019/2019-07-14/IMG_0001.jpg)',
+    template: '{year}/{year}-{month}-{day}/{name}'
+  },
+  type: {
+    label: 'By file type (jpg/IMG_0001.jpg)',
+    template: '{ext}/{name}'
+  },
+  source: {
+    label: 'By source folder (Phone1/DCIM/IMG_0001.jpg)',
+    template: '{source}/{relpath}'
+  }
+};
+
+function getLayoutTokens(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+}
+
+function validateLayout(template) {
+  const tokens = getLayoutTokens(template);
+  const unknown = tokens.find(token => !LAYOUT_TOKENS.includes(token));
+  if (unknown) {
+    throw new Error(`Unknown layout token {${unknown}}, use ${LAYOUT_TOKENS.map(token => `{${token}}`).join(' ')}`);
+  }
+  if (!tokens.some(token => NAME_TOKENS.includes(token))) {
+    throw new Error('A layout must contain {name}, {stem} or {relpath} so every file keeps its own name');
+  }
+  return template;
+}
+
+function usesDateTokens(template) {
+  return getLayoutTokens(template).some(token => DATE_TOKENS.includes(token));
+}
+
+function renderLayout(template, values) {
+  return template
+    .replace(/\{(\w+)\}/g, (match, token) => String(values[token] === undefined ? '' : values[token]))
+    .split(/[\\/]+/)
+    .filter(part => part && part !== '.' && part !== '..')
+    .join(path.sep);
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  LAYOUT_PRESETS,
+  validateLayout,
+  usesDateTokens,
+  renderLayout
+};
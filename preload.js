@@ -3,14 +3,37 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   selectSourceFolders: () => ipcRenderer.invoke('select-source-folders'),
   selectDestinationFolder: () => ipcRenderer.invoke('select-destination-folder'),
-  startProcess: (sourceFolders, destinationFolder, extensions) => ipcRenderer.invoke('start-process', sourceFolders, destinationFolder, extensions),
+  startProcess: (sourceFolders, destinationFolder, extensions, options) => ipcRenderer.invoke('start-process', sourceFolders, destinationFolder, extensions, options),
+  executePlan: () => ipcRenderer.invoke('execute-plan'),
+  retryFailed: () => ipcRenderer.invoke('retry-failed'),
+  verifyLastRun: (options) => ipcRenderer.invoke('verify-last-run', options),
   pauseProcess: () => ipcRenderer.invoke('pause-process'),
-  resumeProcess: (sourceFolders, destinationFolder, extensions) => ipcRenderer.invoke('resume-process', sourceFolders, destinationFolder, extensions),
-  mergeFolders: (destinationFolder) => ipcRenderer.invoke('merge-folders', destinationFolder),
-  confirmMerge: (destinationFolder, foldersToMerge) => ipcRenderer.invoke('confirm-merge', destinationFolder, foldersToMerge),
+  getLastOperation: () => ipcRenderer.invoke('get-last-operation'),
+  undoLastOperation: () => ipcRenderer.invoke('undo-last-operation'),
+  clearHashCache: () => ipcRenderer.invoke('clear-hash-cache'),
+  exportReport: (format) => ipcRenderer.invoke('export-report', format),
+  resumeProcess: () => ipcRenderer.invoke('resume-process'),
+  cancelProcess: () => ipcRenderer.invoke('cancel-process'),
+  getSavedJob: () => ipcRenderer.invoke('get-saved-job'),
+  resumeSavedJob: () => ipcRenderer.invoke('resume-saved-job'),
+  discardSavedJob: () => ipcRenderer.invoke('discard-saved-job'),
+  purgeQuarantine: (destinationFolder, retentionDays) => ipcRenderer.invoke('purge-quarantine', destinationFolder, retentionDays),
+  getFolderNamePresets: () => ipcRenderer.invoke('get-folder-name-presets'),
+  getLayoutPresets: () => ipcRenderer.invoke('get-layout-presets'),
+  getFilterPresets: () => ipcRenderer.invoke('get-filter-presets'),
+  saveFilterPreset: (name, preset) => ipcRenderer.invoke('save-filter-preset', name, preset),
+  deleteFilterPreset: (name) => ipcRenderer.invoke('delete-filter-preset', name),
+  previewFolderGroups: (folders, folderNameRules) => ipcRenderer.invoke('preview-folder-groups', folders, folderNameRules),
+  mergeFolders: (destinationFolder, options) => ipcRenderer.invoke('merge-folders', destinationFolder, options),
+  confirmMerge: (destinationFolder, foldersToMerge, options) => ipcRenderer.invoke('confirm-merge', destinationFolder, foldersToMerge, options),
+  findTreeDuplicates: (rootFolder, extensions, options) => ipcRenderer.invoke('find-tree-duplicates', rootFolder, extensions, options),
+  removeTreeDuplicates: (rootFolder, groups, options) => ipcRenderer.invoke('remove-tree-duplicates', rootFolder, groups, options),
   onProgressUpdate: (callback) => ipcRenderer.on('progress-update', (event, data) => callback(data)),
   onProcessComplete: (callback) => ipcRenderer.on('process-complete', (event, data) => callback(data)),
   onMergeConfirmation: (callback) => ipcRenderer.on('merge-confirmation', (event, data) => callback(data)),
-  onMergeComplete: (callback) => ipcRenderer.on('merge-complete', (event, data) => callback(data))
+  onMergeComplete: (callback) => ipcRenderer.on('merge-complete', (event, data) => callback(data)),
+  onDedupeReview: (callback) => ipcRenderer.on('dedupe-review', (event, data) => callback(data)),
+  onDedupeComplete: (callback) => ipcRenderer.on('dedupe-complete', (event, data) => callback(data)),
+  onFileError: (callback) => ipcRenderer.on('file-error', (event, data) => callback(data))
 });
 
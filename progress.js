@@ -0,0 +1,121 @@
+// Progress of one job: the phases it has been through, items done out of
+// each phase's total (null while the total is unknown), bytes hashed and
+// copied, and a throughput and ETA measured over the last few seconds.
+const PHASE_LABELS = {
+  scan: 'Scanning sources',
+  index: 'Indexing destination',
+  signatures: 'Matching folders',
+  copy: 'Copying files',
+  merge: 'Merging folders',
+  compare: 'Comparing files',
+  dedupe: 'Handling duplicates',
+  retry: 'Retrying failed files',
+  verify: 'Verifying copies',
+  undo: 'Undoing'
+};
+const RATE_WINDOW_MS = 10000;
+const SAMPLE_INTERVAL_MS = 250;
+
+function createProgress() {
+  return {
+    phases: [],
+    current: null,
+    bytesHashed: 0,
+    bytesCopied: 0,
+    samples: []
+  };
+}
+
+// Entering a phase marks the previous one complete. A phase entered again
+// (a resumed copy, say) carries on from the counts it already has.
+function startPhase(progress, name, total = null, done = 0) {
+  if (progress.current && progress.current.name !== name) {
+    progress.current.complete = true;
+  }
+  let phase = progress.phases.find(entry => entry.name === name);
+  if (!phase) {
+    phase = { name: name, label: PHASE_LABELS[name] || name, done: done, total: total, complete: false };
+    progress.phases.push(phase);
+  } else {
+    phase.total = total === null ? phase.total : total;
+    phase.done = Math.max(phase.done, done);
+    phase.complete = false;
+  }
+  progress.current = phase;
+  progress.samples = [];
+  return phase;
+}
+
+function addPhaseTotal(progress, count) {
+  if (progress.current) {
+    progress.current.total = (progress.current.total || 0) + count;
+  }
+}
+
+function advancePhase(progress, count = 1) {
+  if (progress.current) {
+    progress.current.done += count;
+  }
+}
+
+function addBytes(progress, kind, bytes) {
+  if (kind === 'hashed') {
+    progress.bytesHashed += bytes;
+  } else {
+    progress.bytesCopied += bytes;
+  }
+}
+
+function getProgressSnapshot(progress, now = Date.now()) {
+  const phase = progress.current;
+  const done = phase ? phase.done : 0;
+  const bytes = progress.bytesHashed + progress.bytesCopied;
+  progress.samples = progress.samples.filter(sample => now - sample.time <= RATE_WINDOW_MS);
+
+  let bytesPerSecond = null;
+  let etaSeconds = null;
+  const oldest = progress.samples[0];
+  if (oldest && now - oldest.time >= 1000) {
+    const seconds = (now - oldest.time) / 1000;
+    bytesPerSecond = Math.round((bytes - oldest.bytes) / seconds);
+    const itemsPerSecond = (done - oldest.done) / seconds;
+    if (phase.total !== null && itemsPerSecond > 0) {
+      etaSeconds = Math.ceil(Math.max(0, phase.total - done) / itemsPerSecond);
+    }
+  }
+  const newest = progress.samples[progress.samples.length - 1];
+  if (!newest || now - newest.time >= SAMPLE_INTERVAL_MS) {
+    progress.samples.push({ time: now, done: done, bytes: bytes });
+  }
+
+  return {
+    phase: phase ? phase.name : null,
+    label: phase ? phase.label : null,
+    done: done,
+    total: phase ? phase.total : null,
+    bytesHashed: progress.bytesHashed,
+    bytesCopied: progress.bytesCopied,
+    bytesPerSecond: bytesPerSecond,
+    etaSeconds: etaSeconds,
+    phases: progress.phases.map(entry => ({ ...entry }))
+  };
+}
+
+// Fraction of the current phase that is done, or null when it cannot be told.
+function getPhaseFraction(snapshot) {
+  if (!snapshot || !snapshot.total) {
+    return null;
+  }
+  return Math.min(1, snapshot.done / snapshot.total);
+}
+
+module.exports = {
+  PHASE_LABELS,
+  createProgress,
+  startPhase,
+  addPhaseTotal,
+  advancePhase,
+  addBytes,
+  getProgressSnapshot,
+  getPhaseFraction
+};
@@ -0,0 +1,142 @@
+const REPORT_FORMATS = {
+  csv: { name: 'CSV', extension: 'csv' },
+  json: { name: 'JSON', extension: 'json' },
+  html: { name: 'HTML', extension: 'html' }
+};
+
+const CSV_COLUMNS = ['record', 'action', 'source_path', 'target_path', 'matched_path', 'size', 'detail', 'verification', 'transfer', 'hash_algorithm'];
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${minutes}m ${seconds % 60}s`;
+}
+
+function getSummaryRows(report) {
+  return [
+    ['Mode', report.mode],
+    ['Source folders', (report.sourceFolders || []).join('; ')],
+    ['Destination folder', report.destinationFolder],
+    ['Started', report.startedAt],
+    ['Finished', report.finishedAt],
+    ['Duration', formatDuration(report.durationMs)],
+    ['Hash algorithm', report.hashAlgorithm || 'sha256'],
+    ...(report.cancelled ? [['Cancelled', 'yes']] : []),
+    ...(report.warnings || []).map(warning => ['Warning', warning]),
+    ...Object.entries(report.stats).map(([key, value]) => [key, value])
+  ];
+}
+
+function formatReportCsv(report) {
+  const rows = [CSV_COLUMNS];
+  for (const [key, value] of getSummaryRows(report)) {
+    rows.push(['summary', key, '', '', '', '', value]);
+  }
+  for (const folder of report.folders) {
+    rows.push(['folder', folder.status, folder.sourcePath, folder.destinationPath, '', '', '']);
+  }
+  for (const file of report.files) {
+    rows.push(['file', file.action, file.sourcePath, file.targetPath, file.matchedPath, file.size, file.matchedTargetPath || file.reason || file.linkTarget, file.verification, file.transfer, file.hashAlgorithm]);
+  }
+  for (const error of report.errors) {
+    rows.push(['error', error.operation, error.path, '', '', '', error.message]);
+  }
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatReportJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+function renderHtmlTable(headers, rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function formatReportHtml(report) {
+  const summary = getSummaryRows(report).map(([key, value]) => [key, key === 'sizeCopied' ? formatSize(value) : value]);
+  const folders = report.folders.map(folder => [folder.sourcePath, folder.destinationPath, folder.status]);
+  const files = report.files.map(file => [file.reason ? `${file.action} (${file.reason})` : file.action, file.sourcePath, file.targetPath || '', file.matchedPath || '', file.size, file.transfer || '', file.verification || '']);
+  const errors = report.errors.map(error => [error.operation, error.path || '', error.message]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>File Deduplication Report - ${escapeHtml(report.finishedAt)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 20px; color: #333; }
+  h1 { font-size: 22px; }
+  h2 { font-size: 18px; margin-top: 30px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th { background: #007bff; color: white; padding: 8px; text-align: left; }
+  td { padding: 6px 8px; border-bottom: 1px solid #ddd; word-break: break-all; }
+  .empty { color: #999; }
+</style>
+</head>
+<body>
+<h1>File Deduplication Report</h1>
+<h2>Summary</h2>
+${renderHtmlTable(['Item', 'Value'], summary)}
+<h2>Folders (${folders.length})</h2>
+${renderHtmlTable(['Source Folder', 'Destination Folder', 'Status'], folders)}
+<h2>Files (${files.length})</h2>
+${renderHtmlTable(['Action', 'Source', 'Target', 'Matched Copy', 'Size (bytes)', 'Transfer', 'Verification'], files)}
+<h2>Errors (${errors.length})</h2>
+${renderHtmlTable(['Operation', 'Path', 'Message'], errors)}
+</body>
+</html>
+`;
+}
+
+function formatReport(report, format) {
+  if (format === 'csv') {
+    return formatReportCsv(report);
+  }
+  if (format === 'html') {
+    return formatReportHtml(report);
+  }
+  if (format === 'json') {
+    return formatReportJson(report);
+  }
+  throw new Error(`Unsupported report format: ${format}`);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  formatReport
+};
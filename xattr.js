@@ -0,0 +1,67 @@
+const { execFile } = require('child_process');
+
+const missingCommands = new Set();
+
+function missingCommandError(command) {
+  const missing = new Error(`${command} is not installed, extended attributes were not copied`);
+  missing.code = 'ENOTSUP';
+  return missing;
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { encoding: 'utf8', maxBuffer: 16 * 1024 * 1024 }, (err, stdout) => {
+      if (err && err.code === 'ENOENT') {
+        missingCommands.add(command);
+        reject(missingCommandError(command));
+      } else if (err) {
+        reject(err);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+async function readXattrs(filePath) {
+  if (process.platform === 'darwin') {
+    const names = (await run('xattr', [filePath])).split('\n').filter(name => name);
+    const attributes = [];
+    for (const name of names) {
+      attributes.push({ name: name, value: (await run('xattr', ['-px', name, filePath])).replace(/\s+/g, '') });
+    }
+    return attributes;
+  }
+
+  const output = await run('getfattr', ['--dump', '--match=^user\\.', '--encoding=hex', '--absolute-names', filePath]);
+  return output.split('\n')
+    .map(line => /^([^#=][^=]*)=0x([0-9a-fA-F]*)$/.exec(line))
+    .filter(match => match)
+    .map(match => ({ name: match[1], value: match[2] }));
+}
+
+async function writeXattrs(filePath, attributes) {
+  for (const attribute of attributes) {
+    if (process.platform === 'darwin') {
+      await run('xattr', ['-wx', attribute.name, attribute.value, filePath]);
+    } else {
+      await run('setfattr', [`--name=${attribute.name}`, `--value=0x${attribute.value}`, filePath]);
+    }
+  }
+}
+
+// Rejects with code ENOTSUP, without running anything, once a needed
+// command is known to be missing.
+async function copyXattrs(sourcePath, targetPath) {
+  if (process.platform === 'win32') {
+    return;
+  }
+  if (missingCommands.size > 0) {
+    throw missingCommandError([...missingCommands][0]);
+  }
+  await writeXattrs(targetPath, await readXattrs(sourcePath));
+}
+
+module.exports = {
+  copyXattrs
+};
@@ -0,0 +1,156 @@
+// XXH64 (https://github.com/Cyan4973/xxHash) in plain JavaScript. 64-bit
+// values are kept as two unsigned 32-bit halves so the per-byte work avoids
+// BigInt; only the short tail and final mix use it.
+
+const PRIME1 = [0x9E3779B1, 0x85EBCA87];
+const PRIME2 = [0xC2B2AE3D, 0x27D4EB4F];
+const PRIME3 = 0x165667B19E3779F9n;
+const PRIME4 = 0x85EBCA77C2B2AE63n;
+const PRIME5 = 0x27D4EB2F165667C5n;
+const BIG_PRIME1 = 0x9E3779B185EBCA87n;
+const BIG_PRIME2 = 0xC2B2AE3D27D4EB4Fn;
+const MASK = 0xFFFFFFFFFFFFFFFFn;
+const STRIPE = 32;
+
+// Low 64 bits of (hi, lo) * PRIME(hi, lo), written to out[0] (hi) and out[1] (lo).
+function multiply(hi, lo, primeHi, primeLo, out) {
+  const a0 = lo & 0xFFFF;
+  const a1 = lo >>> 16;
+  const b0 = primeLo & 0xFFFF;
+  const b1 = primeLo >>> 16;
+  const a1b0 = a1 * b0;
+  const a0b1 = a0 * b1;
+  const middle = ((a0 * b0) >>> 16) + (a1b0 & 0xFFFF) + (a0b1 & 0xFFFF);
+  const high = a1 * b1 + (a1b0 >>> 16) + (a0b1 >>> 16) + (middle >>> 16);
+  out[0] = (high + Math.imul(hi, primeLo) + Math.imul(lo, primeHi)) >>> 0;
+  out[1] = Math.imul(lo, primeLo) >>> 0;
+}
+
+// Runs acc = rotl(acc + input * PRIME2, 31) * PRIME1 over every whole 32-byte
+// stripe of bytes from offset, one 8-byte input per lane. acc holds the four
+// lanes as hi, lo pairs. Returns the offset after the last stripe.
+function consumeStripes(acc, bytes, offset, end) {
+  const product = [0, 0];
+  for (; offset + STRIPE <= end; offset += STRIPE) {
+    for (let lane = 0; lane < 8; lane += 2) {
+      const at = offset + lane * 4;
+      const inLo = (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0;
+      const inHi = (bytes[at + 4] | (bytes[at + 5] << 8) | (bytes[at + 6] << 16) | (bytes[at + 7] << 24)) >>> 0;
+
+      multiply(inHi, inLo, PRIME2[0], PRIME2[1], product);
+      const sumLo = acc[lane + 1] + product[1];
+      const lo = sumLo >>> 0;
+      const hi = (acc[lane] + product[0] + (sumLo > 0xFFFFFFFF ? 1 : 0)) >>> 0;
+
+      multiply(((hi << 31) | (lo >>> 1)) >>> 0, ((lo << 31) | (hi >>> 1)) >>> 0, PRIME1[0], PRIME1[1], product);
+      acc[lane] = product[0];
+      acc[lane + 1] = product[1];
+    }
+  }
+  return offset;
+}
+
+function toBigInt(acc, i) {
+  return (BigInt(acc[2 * i]) << 32n) | BigInt(acc[2 * i + 1]);
+}
+
+function rotl(value, bits) {
+  return ((value << BigInt(bits)) | (value >> BigInt(64 - bits))) & MASK;
+}
+
+function bigRound(acc, input) {
+  acc = (acc + input * BIG_PRIME2) & MASK;
+  return (rotl(acc, 31) * BIG_PRIME1) & MASK;
+}
+
+function readBig64(bytes, offset) {
+  let value = 0n;
+  for (let i = 7; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[offset + i]);
+  }
+  return value;
+}
+
+function createXxHash64(seed = 0n) {
+  const start = [
+    (seed + BIG_PRIME1 + BIG_PRIME2) & MASK,
+    (seed + BIG_PRIME2) & MASK,
+    seed & MASK,
+    (seed - BIG_PRIME1) & MASK
+  ];
+  const acc = new Uint32Array(8);
+  start.forEach((value, i) => {
+    acc[2 * i] = Number(value >> 32n);
+    acc[2 * i + 1] = Number(value & 0xFFFFFFFFn);
+  });
+  const pending = new Uint8Array(STRIPE);
+  let pendingLength = 0;
+  let totalLength = 0;
+
+  return {
+    update(data) {
+      const bytes = typeof data === 'string' ? Buffer.from(data) : data;
+      totalLength += bytes.length;
+      let offset = 0;
+      if (pendingLength > 0) {
+        const take = Math.min(STRIPE - pendingLength, bytes.length);
+        pending.set(bytes.subarray(0, take), pendingLength);
+        pendingLength += take;
+        offset = take;
+        if (pendingLength < STRIPE) {
+          return this;
+        }
+        consumeStripes(acc, pending, 0, STRIPE);
+        pendingLength = 0;
+      }
+      offset = consumeStripes(acc, bytes, offset, bytes.length);
+      pending.set(bytes.subarray(offset), 0);
+      pendingLength = bytes.length - offset;
+      return this;
+    },
+
+    digest(encoding = 'hex') {
+      let hash;
+      if (totalLength >= STRIPE) {
+        const lanes = [0, 1, 2, 3].map(i => toBigInt(acc, i));
+        hash = (rotl(lanes[0], 1) + rotl(lanes[1], 7) + rotl(lanes[2], 12) + rotl(lanes[3], 18)) & MASK;
+        for (const lane of lanes) {
+          hash ^= bigRound(0n, lane);
+          hash = (hash * BIG_PRIME1 + PRIME4) & MASK;
+        }
+      } else {
+        hash = (seed + PRIME5) & MASK;
+      }
+      hash = (hash + BigInt(totalLength)) & MASK;
+
+      let offset = 0;
+      for (; offset + 8 <= pendingLength; offset += 8) {
+        hash ^= bigRound(0n, readBig64(pending, offset));
+        hash = (rotl(hash, 27) * BIG_PRIME1 + PRIME4) & MASK;
+      }
+      if (offset + 4 <= pendingLength) {
+        const word = BigInt((pending[offset] | (pending[offset + 1] << 8) | (pending[offset + 2] << 16) | (pending[offset + 3] << 24)) >>> 0);
+        hash ^= (word * BIG_PRIME1) & MASK;
+        hash = (rotl(hash, 23) * BIG_PRIME2 + PRIME3) & MASK;
+        offset += 4;
+      }
+      for (; offset < pendingLength; offset++) {
+        hash ^= (BigInt(pending[offset]) * PRIME5) & MASK;
+        hash = (rotl(hash, 11) * BIG_PRIME1) & MASK;
+      }
+
+      hash ^= hash >> 33n;
+      hash = (hash * BIG_PRIME2) & MASK;
+      hash ^= hash >> 29n;
+      hash = (hash * PRIME3) & MASK;
+      hash ^= hash >> 32n;
+
+      const hex = hash.toString(16).padStart(16, '0');
+      return encoding === 'hex' ? hex : Buffer.from(hex, 'hex');
+    }
+  };
+}
+
+module.exports = {
+  createXxHash64
+};